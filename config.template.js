@@ -9,8 +9,69 @@ const CONFIG = {
       type: 'odds' 
     }
   ],
+  // Odds source: 'the-odds-api' (live) or 'replay' (recorded snapshots, no API calls)
+  ODDS_PROVIDER: 'the-odds-api',
+  REPLAY_PATH: './fixtures/replay',
+  REPLAY_SNAPSHOT: 'sample',
+  // Odds API regions to shop (comma-separated: us, us2, uk, eu, au); each region costs one request
+  ODDS_REGIONS: 'us',
+  // Fair-line method: 'multiplicative', 'additive', 'power' or 'shin'
+  DEVIG_METHOD: 'multiplicative',
+  // Consensus weight per bookmaker key (default 1; moneylines, spreads and totals); sharp books count more
+  BOOK_WEIGHTS: { pinnacle: 3, circasports: 2, betonlineag: 1.5 },
+  // Extra leagues or overrides for src/data/sports.js, e.g.
+  // [{ key: 'basketball_euroleague', name: 'EuroLeague', emoji: '🏀', seasons: [{ start: '10-01', end: '05-31' }] }]
+  // or [{ key: 'basketball_ncaab', enabled: true }, { key: 'basketball_wnba', enabled: true },
+  //     { key: 'soccer_spain_la_liga', enabled: true }] for the leagues that ship disabled,
+  // or [{ key: 'soccer_usa_mls', enabled: false }]
+  SPORTS: [],
+  // Hours after the scheduled start before a postponed or missing game is graded void
+  POSTPONED_CUTOFF_HOURS: 48,
+  // Optional api-sports.io key: fallback results when the Odds API has none (older than
+  // 3 days) or its quota is spent. Free plans allow 100 requests/day per sport family.
+  API_SPORTS_KEY: '',
+  API_SPORTS_DAILY_LIMIT: 100,
+  // Kickoff weather for outdoor games: 'open-meteo' (live, free, no key), 'file' or 'none'
+  WEATHER_PROVIDER: 'open-meteo',
+  WEATHER_PATH: './fixtures/weather/forecasts.json',
+  // Extra or corrected venues for src/data/venues.js, e.g.
+  // { soccer_epl: { 'Burnley': ['Turf Moor', 53.789, -2.230, 'open'] } }
+  VENUES: {},
+  // Injury reports: 'file' reads <INJURY_PATH>/<sport key>.json or .csv (team, player, position,
+  // status, importance, detail, updated), 'none' turns injuries off. Records whose updated time is
+  // missing or older than INJURY_MAX_AGE_HOURS are ignored. fixtures/injuries holds samples only.
+  INJURY_PROVIDER: 'none',
+  INJURY_PATH: './data/injuries',
+  INJURY_MAX_AGE_HOURS: 36,
+  // Public betting splits: 'file' reads <PUBLIC_BETTING_PATH>/<sport key>.json or .csv (home_team,
+  // away_team, commence_time, outcome, tickets, handle; rows without commence_time are dropped),
+  // 'none' turns them off. fixtures/public-betting holds samples only.
+  PUBLIC_BETTING_PROVIDER: 'none',
+  PUBLIC_BETTING_PATH: './data/public-betting',
+  // Gradient-boosted trees in the ensemble (src/ai/gradient-boosting.js): boosting rounds,
+  // tree depth and shrinkage; also minSamplesLeaf, lambda, subsample, maxBins
+  GRADIENT_BOOSTING: { nTrees: 100, maxDepth: 3, learningRate: 0.05 },
+  // Random forest (src/ai/random-forest.js): trees, depth, smallest leaf; maxFeatures per split
+  // defaults to the square root of the feature count
+  RANDOM_FOREST: { nTrees: 50, maxDepth: 6, minSamplesLeaf: 10 },
+  // Linear model in the ensemble's svm slot (src/ai/linear-model.js): loss 'logistic' or 'hinge'
+  // (linear SVM with Platt scaling), L1/L2 penalties; also learningRate, decay, epochs
+  LINEAR_MODEL: { loss: 'logistic', l1: 0.0005, l2: 0.001 },
+  // Elo team ratings (src/data/team-ratings.js), per sport key or family ('basketball'):
+  // K-factor, home advantage in Elo points, share regressed to the mean between seasons,
+  // spread of final margins (prices spreads from the ratings)
+  // TEAM_RATINGS: { basketball_nba: { k: 20, homeAdvantage: 100, regression: 0.25, marginSd: 12 } },
+  // Dixon-Coles score model (src/ai/poisson-model.js): leagues it covers (ensemble vote and
+  // totals pricing), age at which a game counts half, games a team needs before it predicts
+  // SCORE_MODEL: { sports: ['soccer_epl', 'soccer_usa_mls', 'soccer_uefa_champs_league', 'icehockey_nhl'], halfLifeDays: 180, minGames: 5 },
+  // API response cache (minutes): fresh for ttl, served while revalidating for swr more,
+  // kept for cache-only reads until keep
+  CACHE_POLICIES: {
+    odds: { ttlMinutes: 5, swrMinutes: 55, keepMinutes: 1440 },
+    scores: { ttlMinutes: 30, swrMinutes: 30, keepMinutes: 1440 }
+  },
   APP_VERSION: '5.4.0',
-  CACHE_VERSION: 'ai-betting-v5.2.2'
+  CACHE_VERSION: 'ai-betting-v5.4.0'
 };
 
 if (typeof window !== 'undefined') {
@@ -1,12 +1,17 @@
 // Service Worker for AI Betting System
 // Enables background sync and scheduled tasks
 
-const CACHE_NAME = 'ai-betting-v5.2.2';
+const CACHE_NAME = 'ai-betting-v5.4.0';
 const urlsToCache = [
   '/NewBets/ai-betting-system.html',
   '/NewBets/'
 ];
 
+// Paths (relative to the app) fetched from the network first, so module updates and newly
+// dropped data files (injuries, public betting, weather, replay snapshots) show up without a
+// cache bump; the cached copy is only used offline
+const NETWORK_FIRST_PATHS = ['src/', 'data/', 'fixtures/'];
+
 // Install Service Worker
 self.addEventListener('install', (event) => {
   console.log('🔧 Service Worker: Installing...');
@@ -40,8 +45,8 @@ self.addEventListener('activate', (event) => {
 
 // Fetch with cache fallback
 self.addEventListener('fetch', (event) => {
-  if (event.request.mode === 'navigate') {
-    // Always fetch latest HTML for navigation requests
+  if (event.request.mode === 'navigate' || isNetworkFirst(event.request)) {
+    // Always fetch latest HTML (and app modules) when online
     event.respondWith(
       fetch(event.request)
         .then((response) => {
@@ -113,6 +118,13 @@ self.addEventListener('notificationclick', (event) => {
   );
 });
 
+function isNetworkFirst(request) {
+  if (request.method !== 'GET') return false;
+  const path = new URL(request.url).pathname;
+  const scope = new URL(self.registration.scope).pathname;
+  return NETWORK_FIRST_PATHS.some((prefix) => path.startsWith(scope + prefix));
+}
+
 // Helper functions for scheduled tasks
 async function triggerDailyAnalysis() {
   console.log('🌅 Service Worker: Triggering daily analysis at 6am CT');
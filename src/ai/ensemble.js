@@ -3,11 +3,13 @@
  * Combines multiple models using weighted voting
  * 
  * Model Slots:
- * - Neural Network (35%)
- * - Bayesian (25%)
- * - Gradient Boosting (20%)
- * - Random Forest (15%)
+ * - Neural Network (30%)
+ * - Bayesian (20%)
+ * - Gradient Boosting (15%)
+ * - Random Forest (10%)
  * - SVM (5%)
+ * - Team Ratings (10%)
+ * - Poisson / Dixon-Coles (10%, soccer and hockey only)
  * 
  * Features:
  * - Dynamic weight adjustment via softmax
@@ -19,11 +21,13 @@ class EnsembleModel {
     constructor() {
         // Model weights (default distribution)
         this.modelWeights = {
-            neuralNetwork: 0.35,
-            bayesian: 0.25,
-            gradientBoosting: 0.20,
-            randomForest: 0.15,
-            svm: 0.05
+            neuralNetwork: 0.30,
+            bayesian: 0.20,
+            gradientBoosting: 0.15,
+            randomForest: 0.10,
+            svm: 0.05,
+            ratings: 0.10,
+            poisson: 0.10
         };
         
         // Temperature for softmax weighting
@@ -35,7 +39,9 @@ class EnsembleModel {
             bayesian: { correct: 0, total: 0 },
             gradientBoosting: { correct: 0, total: 0 },
             randomForest: { correct: 0, total: 0 },
-            svm: { correct: 0, total: 0 }
+            svm: { correct: 0, total: 0 },
+            ratings: { correct: 0, total: 0 },
+            poisson: { correct: 0, total: 0 }
         };
         
         // Model instances (to be set externally)
@@ -44,7 +50,9 @@ class EnsembleModel {
             bayesian: null,
             gradientBoosting: null,
             randomForest: null,
-            svm: null
+            svm: null,
+            ratings: null,
+            poisson: null
         };
     }
 
@@ -64,9 +72,11 @@ class EnsembleModel {
     /**
      * Make ensemble prediction
      * @param {Array<number>} features - Feature vector
+     * @param {Object} context - The game behind the vector ({ sportKey, home, away, at }),
+     *                           passed on for models that work from the teams rather than features
      * @returns {Object} - Prediction with confidence and agreement metrics
      */
-    predict(features) {
+    predict(features, context = {}) {
         const predictions = {};
         const activeModels = [];
         
@@ -74,7 +84,7 @@ class EnsembleModel {
         for (const [name, model] of Object.entries(this.models)) {
             if (model && typeof model.predict === 'function') {
                 try {
-                    predictions[name] = model.predict(features);
+                    predictions[name] = model.predict(features, context);
                     activeModels.push(name);
                 } catch (error) {
                     console.warn(`Model ${name} prediction failed:`, error);
@@ -233,6 +243,13 @@ class EnsembleModel {
                 total: perf.total,
                 weight: this.modelWeights[name]
             };
+            
+            // Bagged models carry their own out-of-bag estimate
+            const model = this.models[name];
+            if (model && typeof model.oobScore === 'number') {
+                report[name].oobScore = model.oobScore;
+                report[name].oobSamples = model.oobSamples || 0;
+            }
         }
         
         return report;
@@ -263,9 +280,10 @@ class EnsembleModel {
      */
     static fromJSON(json) {
         const ensemble = new EnsembleModel();
-        ensemble.modelWeights = json.modelWeights || ensemble.modelWeights;
+        // Slots added since the ensemble was saved keep their defaults
+        ensemble.modelWeights = { ...ensemble.modelWeights, ...json.modelWeights };
         ensemble.temperature = json.temperature || ensemble.temperature;
-        ensemble.modelPerformance = json.modelPerformance || ensemble.modelPerformance;
+        ensemble.modelPerformance = { ...ensemble.modelPerformance, ...json.modelPerformance };
         return ensemble;
     }
 }
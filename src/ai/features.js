@@ -1,6 +1,6 @@
 /**
  * Feature Extraction Module
- * Extracts 55+ normalized features across 6 categories for ML models
+ * Extracts 57 normalized features across 7 categories for ML models
  * 
  * Categories:
  * - Team Performance (10 features)
@@ -9,12 +9,24 @@
  * - Temporal (10 features)
  * - Statistical Anomalies (5 features)
  * - Sport-Specific (5 features)
+ * - Team Ratings (2 features)
+ *
+ * New features are appended and bump FEATURE_VERSION, so vectors and models saved under an
+ * older layout can be recognized and dropped instead of read with the wrong meaning.
  */
 
+// Layout version of the feature vector (2: team ratings appended at 55-56)
+const FEATURE_VERSION = 2;
+
 class FeatureExtractor {
     constructor() {
-        this.featureCount = 55;
+        this.featureCount = 57;
+        this.version = FEATURE_VERSION;
         this.featureNames = this._initFeatureNames();
+        
+        // Scales of the rating features (Elo points)
+        this.RATING_DIFF_MAX = 800;
+        this.RATING_RD_MAX = 500;
     }
 
     /**
@@ -49,16 +61,19 @@ class FeatureExtractor {
             
             // Sport-Specific (5)
             'scoring_pace', 'defensive_strength', 'offensive_efficiency',
-            'special_teams_rating', 'coaching_advantage'
+            'special_teams_rating', 'coaching_advantage',
+            
+            // Team Ratings (2)
+            'rating_diff', 'rating_uncertainty'
         ];
     }
 
     /**
-     * Extract all 55 features from game data
+     * Extract all 57 features from game data
      * @param {Object} game - Raw game data
      * @param {Object} historicalData - Historical performance data
      * @param {Object} marketData - Betting market data
-     * @returns {Array<number>} 55-element feature vector (normalized 0-1)
+     * @returns {Array<number>} 57-element feature vector (normalized 0-1)
      */
     extract(game, historicalData = {}, marketData = {}) {
         const features = new Array(this.featureCount).fill(0);
@@ -68,9 +83,10 @@ class FeatureExtractor {
             const teamPerf = this._extractTeamPerformance(game, historicalData);
             const situational = this._extractSituational(game, historicalData);
             const market = this._extractMarket(game, marketData);
-            const temporal = this._extractTemporal(game);
+            const temporal = this._extractTemporal(game, historicalData);
             const anomalies = this._extractAnomalies(game, historicalData);
             const sportSpecific = this._extractSportSpecific(game, historicalData);
+            const ratings = this._extractRatings(historicalData);
             
             // Combine all features efficiently
             return [
@@ -79,7 +95,8 @@ class FeatureExtractor {
                 ...market,
                 ...temporal,
                 ...anomalies,
-                ...sportSpecific
+                ...sportSpecific,
+                ...ratings
             ];
         } catch (error) {
             console.warn('Feature extraction error:', error);
@@ -97,19 +114,19 @@ class FeatureExtractor {
             const teamStats = historicalData.teamStats || {};
             const oppStats = historicalData.oppStats || {};
             
-            // Team metrics
-            features[0] = this._normalize(teamStats.winRate || 0.5, 0, 1);
-            features[1] = this._normalize(teamStats.recentForm || 0.5, 0, 1); // Last 5 games
-            features[2] = this._normalize(teamStats.h2hRecord || 0.5, 0, 1);
-            features[3] = this._normalizeStreak(teamStats.streak || 0);
-            features[4] = this._normalize(teamStats.avgScore || 0, 0, 200); // Sport-adjusted max
+            // Team metrics (null = no games on record; a real 0 is kept)
+            features[0] = this._normalize(teamStats.winRate ?? 0.5, 0, 1);
+            features[1] = this._normalize(teamStats.recentForm ?? 0.5, 0, 1); // Last 5 games
+            features[2] = this._normalize(teamStats.h2hRecord ?? 0.5, 0, 1);
+            features[3] = this._normalizeStreak(teamStats.streak ?? 0);
+            features[4] = this._normalize(teamStats.avgScore ?? 0, 0, 200); // Sport-adjusted max
             
             // Opponent metrics
-            features[5] = this._normalize(oppStats.winRate || 0.5, 0, 1);
-            features[6] = this._normalize(oppStats.recentForm || 0.5, 0, 1);
-            features[7] = this._normalize(oppStats.h2hRecord || 0.5, 0, 1);
-            features[8] = this._normalizeStreak(oppStats.streak || 0);
-            features[9] = this._normalize(oppStats.avgScore || 0, 0, 200);
+            features[5] = this._normalize(oppStats.winRate ?? 0.5, 0, 1);
+            features[6] = this._normalize(oppStats.recentForm ?? 0.5, 0, 1);
+            features[7] = this._normalize(oppStats.h2hRecord ?? 0.5, 0, 1);
+            features[8] = this._normalizeStreak(oppStats.streak ?? 0);
+            features[9] = this._normalize(oppStats.avgScore ?? 0, 0, 200);
         } catch (error) {
             console.warn('Team performance extraction error:', error);
         }
@@ -117,6 +134,28 @@ class FeatureExtractor {
         return features;
     }
 
+    /**
+     * Team Ratings Features (2): Elo difference (home advantage included) and combined rating deviation
+     */
+    _extractRatings(historicalData) {
+        return [
+            this._normalize(historicalData.ratingDiff ?? 0, -this.RATING_DIFF_MAX, this.RATING_DIFF_MAX),
+            this._normalize(historicalData.ratingUncertainty ?? this.RATING_RD_MAX, 0, this.RATING_RD_MAX)
+        ];
+    }
+
+    /**
+     * Rating difference and deviation read back from a feature vector (see _extractRatings)
+     * @returns {Object|null} - { ratingDiff, ratingUncertainty }; null for vectors without the ratings
+     */
+    ratingFromFeatures(features) {
+        if (!features || features.length < this.featureCount) return null;
+        return {
+            ratingDiff: (features[55] * 2 - 1) * this.RATING_DIFF_MAX,
+            ratingUncertainty: features[56] * this.RATING_RD_MAX
+        };
+    }
+
     /**
      * Situational Features (10)
      */
@@ -127,13 +166,13 @@ class FeatureExtractor {
             const isHome = game.home_team && game.home_team === game.team;
             features[0] = isHome ? 0.65 : 0.35; // Home advantage
             
-            features[1] = this._normalize(historicalData.restDaysTeam || 3, 0, 10);
-            features[2] = this._normalize(historicalData.restDaysOpp || 3, 0, 10);
+            features[1] = this._normalize(historicalData.restDaysTeam ?? 3, 0, 10);
+            features[2] = this._normalize(historicalData.restDaysOpp ?? 3, 0, 10);
             features[3] = this._normalize(historicalData.travelDistance || 0, 0, 3000);
             features[4] = this._normalize(Math.abs(historicalData.timezoneDiff || 0), 0, 3);
             features[5] = this._normalize(Math.abs(historicalData.altitudeDiff || 0), 0, 7000);
             features[6] = this._normalizeWeather(historicalData.weatherImpact || 0);
-            features[7] = this._normalize(historicalData.injuryImpact || 0, 0, 1);
+            features[7] = this._normalize(historicalData.injuryImpact ?? 0, -1, 1); // home burden - away burden
             features[8] = this._normalize(historicalData.motivationFactor || 0.5, 0, 1);
             features[9] = this._normalize(historicalData.schedulePosition || 0.5, 0, 1);
         } catch (error) {
@@ -150,7 +189,7 @@ class FeatureExtractor {
         const features = new Array(15).fill(0.5);
         
         try {
-            const odds = this._extractOdds(game);
+            const odds = this._extractOdds(game, marketData);
             const opening = odds.opening || 0;
             const current = odds.current || 0;
             const closing = odds.closing || current;
@@ -158,7 +197,7 @@ class FeatureExtractor {
             features[0] = this._normalizeOddsValue(marketData.oddsValue || 0);
             features[1] = this._normalizeLineMovement(opening, current);
             features[2] = marketData.sharpMoney ? 0.7 : 0.3;
-            features[3] = this._normalize(marketData.publicBettingPct || 50, 0, 100);
+            features[3] = this._normalize(marketData.publicBettingPct ?? 50, 0, 100); // home side's ticket %
             features[4] = this._normalize(marketData.marketEfficiency || 0.9, 0, 1);
             features[5] = this._normalizeCLV(opening, closing);
             features[6] = this._normalize(marketData.bookmakerEdge || 0.05, 0, 0.15);
@@ -179,8 +218,9 @@ class FeatureExtractor {
 
     /**
      * Temporal Features (10)
+     * Fatigue, matchup history and time since the last game come from stored results when known
      */
-    _extractTemporal(game) {
+    _extractTemporal(game, historicalData = {}) {
         const features = new Array(10).fill(0.5);
         
         try {
@@ -192,10 +232,10 @@ class FeatureExtractor {
             features[3] = this._normalize(game.gamesPlayedRatio || 0.5, 0, 1);
             features[4] = game.playoffImplications ? 0.8 : 0.2;
             features[5] = this._normalize(game.recentMomentum || 0, -5, 5);
-            features[6] = this._normalize(game.fatigueScore || 0, 0, 10);
+            features[6] = this._normalize(historicalData.fatigueScore ?? game.fatigueScore ?? 0, 0, 10);
             features[7] = this._normalizePeakTime(gameDate);
-            features[8] = this._normalize(game.historicalMatchups || 0, 0, 20);
-            features[9] = this._normalize(game.timeSinceLastGame || 3, 0, 14);
+            features[8] = this._normalize(historicalData.h2hGames ?? game.historicalMatchups ?? 0, 0, 20);
+            features[9] = this._normalize(historicalData.restDaysTeam ?? game.timeSinceLastGame ?? 3, 0, 14);
         } catch (error) {
             console.warn('Temporal extraction error:', error);
         }
@@ -213,7 +253,7 @@ class FeatureExtractor {
             const stats = historicalData.teamStats || {};
             
             features[0] = this._detectOutlier(stats.recentPerformance || []);
-            features[1] = this._regressionToMean(stats.currentForm || 0.5, stats.careerAvg || 0.5);
+            features[1] = this._regressionToMean(stats.currentForm ?? 0.5, stats.careerAvg ?? 0.5);
             features[2] = this._calculateVarianceRatio(stats.scores || []);
             features[3] = this._calculateConsistency(stats.scores || []);
             features[4] = this._performanceDeviation(stats.recent || [], stats.season || []);
@@ -362,10 +402,18 @@ class FeatureExtractor {
         return this._normalize(deviation, -0.5, 0.5);
     }
 
-    _extractOdds(game) {
+    /**
+     * Opening/current/closing odds for the home side
+     * Prefers consensus lines from market history (marketData.openingOdds/currentOdds)
+     */
+    _extractOdds(game, marketData = {}) {
         const odds = { opening: 0, current: 0, closing: 0 };
         try {
-            if (game.bookmakers && game.bookmakers[0]) {
+            if (marketData.openingOdds && marketData.currentOdds) {
+                odds.opening = marketData.openingOdds;
+                odds.current = marketData.currentOdds;
+                odds.closing = marketData.closingOdds || game.closingOdds || odds.current;
+            } else if (game.bookmakers && game.bookmakers[0]) {
                 const market = game.bookmakers[0].markets?.[0];
                 if (market && market.outcomes && market.outcomes[0]) {
                     odds.current = market.outcomes[0].price || 0;
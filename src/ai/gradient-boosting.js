@@ -0,0 +1,300 @@
+/**
+ * Gradient Boosting Module
+ * Gradient-boosted decision trees for win probability (logistic loss)
+ *
+ * Features:
+ * - Second-order (Newton) boosting: each tree fits the gradient and hessian of the log loss
+ * - Configurable number of trees, depth, learning rate, leaf size, L2 leaf penalty and row subsampling
+ * - Histogram splits on per-feature quantile bins (fast enough to retrain in the browser)
+ * - Split-based feature importance: split counts and total loss reduction per feature
+ * - Full serialization support
+ */
+
+class GradientBoostedTrees {
+    /**
+     * @param {Object} options
+     *   nTrees         - Boosting rounds (default 100)
+     *   maxDepth       - Depth of each tree (default 3)
+     *   learningRate   - Shrinkage per tree (default 0.05)
+     *   minSamplesLeaf - Smallest leaf (default 20)
+     *   lambda         - L2 penalty on leaf values (default 1)
+     *   subsample      - Share of rows each tree sees (default 0.8)
+     *   maxBins        - Split candidates per feature (default 32)
+     */
+    constructor(options = {}) {
+        this.nTrees = options.nTrees || 100;
+        this.maxDepth = options.maxDepth || 3;
+        this.learningRate = options.learningRate || 0.05;
+        this.minSamplesLeaf = options.minSamplesLeaf || 20;
+        this.lambda = options.lambda ?? 1;
+        this.subsample = options.subsample || 0.8;
+        this.maxBins = options.maxBins || 32;
+
+        // Model state
+        this.trees = [];
+        this.baseScore = 0;       // Log-odds before any tree
+        this.featureCount = 0;
+        this.splitCounts = [];    // Per feature: splits using it
+        this.splitGains = [];     // Per feature: summed loss reduction
+        this.trainingLoss = [];   // Log loss after each round
+        this.trainedAt = null;
+        this.samples = 0;
+    }
+
+    /**
+     * Fit from scratch on a labeled set
+     * @param {Array<Array<number>>} inputs - Feature vectors
+     * @param {Array<number>} targets - 1 (home won) or 0
+     * @returns {Object} - { trees, finalLoss }
+     */
+    train(inputs, targets, options = {}) {
+        const n = inputs.length;
+        if (n === 0) return { trees: 0, finalLoss: null };
+
+        this.featureCount = inputs[0].length;
+        this.trees = [];
+        this.splitCounts = new Array(this.featureCount).fill(0);
+        this.splitGains = new Array(this.featureCount).fill(0);
+        this.trainingLoss = [];
+
+        const mean = targets.reduce((s, y) => s + y, 0) / n;
+        const clipped = Math.min(1 - 1e-6, Math.max(1e-6, mean));
+        this.baseScore = Math.log(clipped / (1 - clipped));
+
+        const { bins, thresholds } = GradientBoostedTrees.binFeatures(inputs, this.maxBins);
+        const scores = new Array(n).fill(this.baseScore);
+        const grad = new Array(n);
+        const hess = new Array(n);
+        const random = options.random || Math.random;
+
+        for (let round = 0; round < this.nTrees; round++) {
+            for (let i = 0; i < n; i++) {
+                const p = gbSigmoid(scores[i]);
+                grad[i] = targets[i] - p;
+                hess[i] = Math.max(p * (1 - p), 1e-6);
+            }
+
+            let rows = [];
+            for (let i = 0; i < n; i++) {
+                if (this.subsample >= 1 || random() < this.subsample) rows.push(i);
+            }
+            if (rows.length < this.minSamplesLeaf * 2) rows = Array.from({ length: n }, (_, i) => i);
+
+            const tree = this._buildNode(rows, 0, bins, thresholds, grad, hess);
+            this.trees.push(tree);
+
+            for (let i = 0; i < n; i++) {
+                scores[i] += this.learningRate * gbTreeValue(tree, inputs[i]);
+            }
+            this.trainingLoss.push(gbLogLoss(scores, targets));
+        }
+
+        this.trainedAt = Date.now();
+        this.samples = n;
+        return { trees: this.trees.length, finalLoss: this.trainingLoss[this.trainingLoss.length - 1] };
+    }
+
+    /**
+     * Win probability for a feature vector
+     * @returns {number|null} - null before training, so the ensemble leaves it out
+     */
+    predict(features) {
+        if (this.trees.length === 0) return null;
+        let score = this.baseScore;
+        for (const tree of this.trees) {
+            score += this.learningRate * gbTreeValue(tree, features);
+        }
+        return gbSigmoid(score);
+    }
+
+    /**
+     * Split-based importance, most important first
+     * @param {Array<string>} featureNames - Optional names by index
+     * @returns {Array<Object>} - [{ index, name, importance (share of total gain), splits }]
+     */
+    getFeatureImportance(featureNames = []) {
+        const totalGain = this.splitGains.reduce((s, g) => s + g, 0);
+        return this.splitGains
+            .map((gain, index) => ({
+                index,
+                name: featureNames[index] || `feature_${index}`,
+                importance: totalGain > 0 ? gain / totalGain : 0,
+                splits: this.splitCounts[index] || 0
+            }))
+            .filter(f => f.splits > 0)
+            .sort((a, b) => b.importance - a.importance);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * Quantile thresholds per feature and each row's bin index
+     * Bin b holds values <= thresholds[f][b]; the last bin is open-ended.
+     * Shared with RandomForest.
+     * @returns {Object} - { bins: [row][feature] bin index, thresholds: [feature][cuts] }
+     */
+    static binFeatures(inputs, maxBins) {
+        const featureCount = inputs.length > 0 ? inputs[0].length : 0;
+        const thresholds = [];
+        const bins = inputs.map(() => new Array(featureCount));
+
+        for (let f = 0; f < featureCount; f++) {
+            const values = inputs.map(x => x[f]).sort((a, b) => a - b);
+            const cuts = [];
+            for (let b = 1; b < maxBins; b++) {
+                const v = values[Math.floor(b * values.length / maxBins)];
+                if (cuts.length === 0 || v > cuts[cuts.length - 1]) cuts.push(v);
+            }
+            // A cut at the maximum separates nothing
+            if (cuts.length > 0 && cuts[cuts.length - 1] >= values[values.length - 1]) cuts.pop();
+            thresholds.push(cuts);
+
+            for (let i = 0; i < inputs.length; i++) {
+                const x = inputs[i][f];
+                let lo = 0;
+                let hi = cuts.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (x <= cuts[mid]) hi = mid; else lo = mid + 1;
+                }
+                bins[i][f] = lo;
+            }
+        }
+        return { bins, thresholds };
+    }
+
+    _buildNode(rows, depth, bins, thresholds, grad, hess) {
+        let G = 0;
+        let H = 0;
+        for (const i of rows) {
+            G += grad[i];
+            H += hess[i];
+        }
+        const leaf = { v: G / (H + this.lambda) };
+        if (depth >= this.maxDepth || rows.length < this.minSamplesLeaf * 2) return leaf;
+
+        const parentScore = G * G / (H + this.lambda);
+        let best = null;
+
+        for (let f = 0; f < this.featureCount; f++) {
+            const cuts = thresholds[f];
+            if (cuts.length === 0) continue;
+
+            // Histogram of gradient, hessian and count per bin
+            const size = cuts.length + 1;
+            const gSum = new Float64Array(size);
+            const hSum = new Float64Array(size);
+            const count = new Int32Array(size);
+            for (const i of rows) {
+                const b = bins[i][f];
+                gSum[b] += grad[i];
+                hSum[b] += hess[i];
+                count[b]++;
+            }
+
+            let gl = 0;
+            let hl = 0;
+            let nl = 0;
+            for (let b = 0; b < cuts.length; b++) {
+                gl += gSum[b];
+                hl += hSum[b];
+                nl += count[b];
+                const nr = rows.length - nl;
+                if (nl < this.minSamplesLeaf || nr < this.minSamplesLeaf) continue;
+                const gr = G - gl;
+                const hr = H - hl;
+                const gain = gl * gl / (hl + this.lambda) + gr * gr / (hr + this.lambda) - parentScore;
+                if (gain > 1e-9 && (!best || gain > best.gain)) {
+                    best = { feature: f, bin: b, threshold: cuts[b], gain };
+                }
+            }
+        }
+
+        if (!best) return leaf;
+
+        const left = [];
+        const right = [];
+        for (const i of rows) {
+            (bins[i][best.feature] <= best.bin ? left : right).push(i);
+        }
+        this.splitCounts[best.feature]++;
+        this.splitGains[best.feature] += best.gain / 2; // Gain in log-loss units
+
+        return {
+            f: best.feature,
+            t: best.threshold,
+            l: this._buildNode(left, depth + 1, bins, thresholds, grad, hess),
+            r: this._buildNode(right, depth + 1, bins, thresholds, grad, hess)
+        };
+    }
+
+    /**
+     * Serialize model to JSON
+     */
+    toJSON() {
+        return {
+            nTrees: this.nTrees,
+            maxDepth: this.maxDepth,
+            learningRate: this.learningRate,
+            minSamplesLeaf: this.minSamplesLeaf,
+            lambda: this.lambda,
+            subsample: this.subsample,
+            maxBins: this.maxBins,
+            trees: this.trees,
+            baseScore: this.baseScore,
+            featureCount: this.featureCount,
+            splitCounts: this.splitCounts,
+            splitGains: this.splitGains,
+            trainingLoss: this.trainingLoss,
+            trainedAt: this.trainedAt,
+            samples: this.samples
+        };
+    }
+
+    /**
+     * Deserialize model from JSON
+     */
+    static fromJSON(json) {
+        const model = new GradientBoostedTrees(json);
+        model.trees = json.trees || [];
+        model.baseScore = json.baseScore || 0;
+        model.featureCount = json.featureCount || 0;
+        model.splitCounts = json.splitCounts || [];
+        model.splitGains = json.splitGains || [];
+        model.trainingLoss = json.trainingLoss || [];
+        model.trainedAt = json.trainedAt || null;
+        model.samples = json.samples || 0;
+        return model;
+    }
+}
+
+function gbSigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+// Leaf value of a tree ({ f, t, l, r } splits, { v } leaves) for one feature vector
+function gbTreeValue(node, features) {
+    while (node.v === undefined) {
+        node = (features[node.f] ?? 0) <= node.t ? node.l : node.r;
+    }
+    return node.v;
+}
+
+function gbLogLoss(scores, targets) {
+    let loss = 0;
+    for (let i = 0; i < scores.length; i++) {
+        const p = Math.min(1 - 1e-12, Math.max(1e-12, gbSigmoid(scores[i])));
+        loss -= targets[i] * Math.log(p) + (1 - targets[i]) * Math.log(1 - p);
+    }
+    return loss / scores.length;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GradientBoostedTrees;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.GradientBoostedTrees = GradientBoostedTrees;
+}
@@ -0,0 +1,185 @@
+/**
+ * Linear Model Module
+ * Regularized logistic regression, or a linear SVM with Platt scaling, learned online
+ *
+ * Features:
+ * - One weight per feature: coefficients map straight onto FeatureExtractor.featureNames
+ * - L1 (soft thresholding, drives weak features to exactly 0) and L2 (weight decay) penalties
+ * - 'logistic' loss: the model is calibrated as is
+ * - 'hinge' loss: a linear SVM whose margin is turned into a probability by Platt scaling
+ *   (sigmoid(A * margin + B), with A and B fitted online on the same stream)
+ * - Online SGD with a decaying step; train() is a few warm-started passes over a batch
+ * - Full serialization support
+ */
+
+class LinearModel {
+    /**
+     * @param {Object} options
+     *   loss         - 'logistic' (default) | 'hinge'
+     *   l1           - L1 penalty (default 0.0005)
+     *   l2           - L2 penalty (default 0.001)
+     *   learningRate - Initial step (default 0.05)
+     *   decay        - Step decay per update: lr / (1 + decay * updates) (default 0.001)
+     *   epochs       - Passes per train() call (default 5)
+     */
+    constructor(options = {}) {
+        this.loss = options.loss === 'hinge' ? 'hinge' : 'logistic';
+        this.l1 = options.l1 ?? 0.0005;
+        this.l2 = options.l2 ?? 0.001;
+        this.learningRate = options.learningRate || 0.05;
+        this.decay = options.decay ?? 0.001;
+        this.epochs = options.epochs || 5;
+
+        // Model state
+        this.weights = [];
+        this.bias = 0;
+        this.plattA = 1;     // Platt scaling (hinge loss only)
+        this.plattB = 0;
+        this.updates = 0;    // SGD steps taken
+    }
+
+    /**
+     * One online step on a labeled example
+     * @param {Array<number>} features - Feature vector
+     * @param {number} target - 1 (home won) or 0
+     */
+    update(features, target) {
+        if (this.weights.length !== features.length) this._resize(features.length);
+        const lr = this.learningRate / (1 + this.decay * this.updates);
+        const margin = this._margin(features);
+
+        // Gradient of the loss with respect to the margin
+        let g;
+        if (this.loss === 'hinge') {
+            const y = target === 1 ? 1 : -1;
+            g = y * margin < 1 ? -y : 0;
+
+            // Platt scaling on the margin before this step moved it
+            const p = lmSigmoid(this.plattA * margin + this.plattB);
+            this.plattA -= lr * (p - target) * margin;
+            this.plattB -= lr * (p - target);
+        } else {
+            g = lmSigmoid(margin) - target;
+        }
+
+        for (let i = 0; i < this.weights.length; i++) {
+            let w = this.weights[i] - lr * (g * (features[i] ?? 0) + this.l2 * this.weights[i]);
+            // L1 proximal step
+            w = Math.sign(w) * Math.max(0, Math.abs(w) - lr * this.l1);
+            this.weights[i] = w;
+        }
+        this.bias -= lr * g;
+        this.updates++;
+    }
+
+    /**
+     * Warm-started passes over a batch (continues from the current weights)
+     * @returns {Object} - { epochs, logLoss }
+     */
+    train(inputs, targets, options = {}) {
+        const n = inputs.length;
+        if (n === 0) return { epochs: 0, logLoss: null };
+        const random = options.random || Math.random;
+        const epochs = options.epochs || this.epochs;
+
+        const order = Array.from({ length: n }, (_, i) => i);
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            for (let i = n - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            for (const i of order) this.update(inputs[i], targets[i]);
+        }
+
+        let loss = 0;
+        for (let i = 0; i < n; i++) {
+            const p = Math.min(1 - 1e-12, Math.max(1e-12, this.predict(inputs[i])));
+            loss -= targets[i] * Math.log(p) + (1 - targets[i]) * Math.log(1 - p);
+        }
+        return { epochs, logLoss: loss / n };
+    }
+
+    /**
+     * Win probability for a feature vector
+     * @returns {number|null} - null before any update, so the ensemble leaves it out
+     */
+    predict(features) {
+        if (this.updates === 0) return null;
+        const margin = this._margin(features);
+        return this.loss === 'hinge'
+            ? lmSigmoid(this.plattA * margin + this.plattB)
+            : lmSigmoid(margin);
+    }
+
+    /**
+     * Coefficients by feature, largest magnitude first (zeroed ones left out)
+     * @param {Array<string>} featureNames - Optional names by index
+     * @returns {Array<Object>} - [{ index, name, weight }]
+     */
+    getCoefficients(featureNames = []) {
+        return this.weights
+            .map((weight, index) => ({ index, name: featureNames[index] || `feature_${index}`, weight }))
+            .filter(c => c.weight !== 0)
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+    }
+
+    // ============ Helper Functions ============
+
+    _margin(features) {
+        let sum = this.bias;
+        for (let i = 0; i < this.weights.length; i++) {
+            sum += this.weights[i] * (features[i] ?? 0);
+        }
+        return sum;
+    }
+
+    _resize(count) {
+        this.weights = Array.from({ length: count }, (_, i) => this.weights[i] || 0);
+    }
+
+    /**
+     * Serialize model to JSON
+     */
+    toJSON() {
+        return {
+            loss: this.loss,
+            l1: this.l1,
+            l2: this.l2,
+            learningRate: this.learningRate,
+            decay: this.decay,
+            epochs: this.epochs,
+            weights: this.weights,
+            bias: this.bias,
+            plattA: this.plattA,
+            plattB: this.plattB,
+            updates: this.updates
+        };
+    }
+
+    /**
+     * Deserialize model from JSON
+     */
+    static fromJSON(json) {
+        const model = new LinearModel(json);
+        model.weights = json.weights || [];
+        model.bias = json.bias || 0;
+        model.plattA = json.plattA ?? 1;
+        model.plattB = json.plattB || 0;
+        model.updates = json.updates || 0;
+        return model;
+    }
+}
+
+function lmSigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinearModel;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.LinearModel = LinearModel;
+}
@@ -4,30 +4,85 @@
  * 
  * Features:
  * - Arbitrage opportunity detection
- * - Steam move detection (rapid line movement)
+ * - Steam move detection (same-direction moves across several books in a short window)
+ * - Reverse line movement: against the ticket majority when public betting splits are given,
+ *   otherwise the opening underdog stands in for the non-public side
  * - Market efficiency calculation
  * - Value bet identification (>5% edge)
  * - Bookmaker edge estimation (vig calculation)
+ * - Fair (no-vig) probabilities: multiplicative, additive, power and Shin methods
+ * - Consensus weighted per bookmaker (e.g. sharp books count more)
+ * - Two- and three-way (1X2) de-vig, with double-chance and draw-no-bet prices
+ * - Best prices only from books you can bet at (bookFilter)
+ *
+ * Line movement is read from a LineHistoryStore (src/data/line-history.js),
+ * which persists every snapshot; without one, a memory-only store is used.
  */
 
+const LineHistoryStoreImpl = typeof LineHistoryStore !== 'undefined'
+    ? LineHistoryStore
+    : (typeof require === 'function' ? require('../data/line-history') : null);
+
+const DEVIG_METHODS = ['multiplicative', 'additive', 'power', 'shin'];
+
 class MarketAnalyzer {
     constructor(options = {}) {
         this.valueThreshold = options.valueThreshold || 0.05; // 5% edge minimum
         this.steamMoveThreshold = options.steamMoveThreshold || 0.03; // 3% rapid movement
+        this.steamWindowMinutes = options.steamWindowMinutes || 30; // "rapid" = inside this window
+        this.steamMinBooks = options.steamMinBooks || 3; // books that must move together
         this.arbitrageThreshold = options.arbitrageThreshold || 0.98; // <1 = arbitrage
         this.sharpThreshold = options.sharpThreshold || 0.02; // 2% reverse line movement
+        this.handleGapThreshold = options.handleGapThreshold || 10; // handle % points ahead of tickets = sharp
+        this.bookFilter = options.bookFilter || null; // (bookmakerKey) => false to skip a book when shopping prices
+        this.devigMethod = DEVIG_METHODS.includes(options.devigMethod) ? options.devigMethod : 'multiplicative';
+        this.bookWeights = options.bookWeights || {}; // { [bookmakerKey]: weight }, default weight 1
         
         // Market tracking
-        this.lineHistory = {};
+        this.historyStore = options.historyStore ||
+            (LineHistoryStoreImpl ? new LineHistoryStoreImpl({ indexedDB: null }) : null);
         this.volumeTracking = {};
     }
 
+    /**
+     * Use a shared (usually persistent) line history store
+     */
+    setHistoryStore(store) {
+        this.historyStore = store;
+    }
+
+    /**
+     * Restrict best-price shopping to books the user can bet at
+     */
+    setBookFilter(filter) {
+        this.bookFilter = filter || null;
+    }
+
+    /**
+     * Choose how the vig is removed: 'multiplicative' | 'additive' | 'power' | 'shin'
+     */
+    setDevigMethod(method) {
+        if (!DEVIG_METHODS.includes(method)) {
+            throw new Error(`Unknown de-vig method: ${method}`);
+        }
+        this.devigMethod = method;
+    }
+
+    /**
+     * Weight of a bookmaker in the consensus (e.g. { pinnacle: 3 })
+     */
+    setBookWeights(weights) {
+        this.bookWeights = weights || {};
+    }
+
     /**
      * Analyze market for a game
      * @param {Object} game - Game data with bookmakers
+     * @param {Object} context - Optional { publicBetting: { tickets: { [outcome]: pct }, handle: { [outcome]: pct } } }
+     *                           (a plain { [outcome]: ticketPct } map is read as tickets)
      * @returns {Object} - Market analysis results
      */
-    analyzeMarket(game) {
+    analyzeMarket(game, context = {}) {
         const analysis = {
             hasArbitrage: false,
             arbitrageProfit: 0,
@@ -39,6 +94,11 @@ class MarketAnalyzer {
             bookmakerEdge: 0,
             sharpMoney: false,
             reverseLine: false,
+            reverseLineSource: null,
+            publicBetting: null,
+            lineMovement: {},
+            isThreeWay: false,
+            derivedMarkets: null,
             bestOdds: null,
             consensus: null
         };
@@ -52,6 +112,11 @@ class MarketAnalyzer {
             // Extract all odds across bookmakers
             const oddsData = this._extractOddsData(bookmakers);
             
+            // Persist this snapshot before reading movement back
+            if (this.historyStore) {
+                this.historyStore.recordGame(game);
+            }
+            
             // Detect arbitrage opportunities
             const arbitrage = this._detectArbitrage(oddsData);
             analysis.hasArbitrage = arbitrage.exists;
@@ -61,6 +126,10 @@ class MarketAnalyzer {
             const steam = this._detectSteamMove(game.id, oddsData);
             analysis.hasSteamMove = steam.detected;
             analysis.steamMoveSize = steam.size;
+            analysis.steamMove = steam;
+            
+            // Opening vs current per moneyline outcome
+            analysis.lineMovement = this._getLineMovement(game.id);
             
             // Calculate market efficiency
             analysis.marketEfficiency = this._calculateMarketEfficiency(oddsData);
@@ -69,9 +138,13 @@ class MarketAnalyzer {
             analysis.bookmakerEdge = this._calculateBookmakerEdge(oddsData);
             
             // Detect sharp money (reverse line movement)
-            const sharp = this._detectSharpMoney(game.id, oddsData);
+            analysis.publicBetting = this._publicSplit(context.publicBetting);
+            const sharp = this._detectSharpMoney(game.id, analysis.lineMovement, analysis.publicBetting);
             analysis.sharpMoney = sharp.detected;
             analysis.reverseLine = sharp.reverse;
+            analysis.reverseLineSource = sharp.source;
+            analysis.sharpSide = sharp.team;
+            analysis.sharpSplit = sharp.team ? { tickets: sharp.tickets, handle: sharp.handle } : null;
             
             // Find best odds
             analysis.bestOdds = this._findBestOdds(oddsData);
@@ -79,6 +152,14 @@ class MarketAnalyzer {
             // Calculate consensus odds
             analysis.consensus = this._calculateConsensus(oddsData);
             
+            // Soccer 1X2: derive double-chance and draw-no-bet prices
+            analysis.isThreeWay = this._isThreeWay(oddsData);
+            if (analysis.isThreeWay) {
+                analysis.derivedMarkets = this.deriveThreeWayMarkets(
+                    game.home_team, game.away_team, analysis.consensus, analysis.bestOdds
+                );
+            }
+            
             // Identify value bets
             const value = this._identifyValueBet(analysis.consensus, analysis.bestOdds, analysis.marketEfficiency);
             analysis.hasValueBet = value.exists;
@@ -151,18 +232,19 @@ class MarketAnalyzer {
     _detectArbitrage(oddsData) {
         const result = { exists: false, profit: 0, combination: null };
         
-        // Check moneyline arbitrage (2-way)
+        // Check moneyline arbitrage (2-way, or 3-way when a Draw is offered)
         if (oddsData.h2h.length >= 2) {
             const teams = [...new Set(oddsData.h2h.map(o => o.team))];
             
-            if (teams.length === 2) {
+            if (teams.length === 2 || teams.length === 3) {
                 // Find best odds for each team
                 const bestOdds = teams.map(team => {
-                    const teamOdds = oddsData.h2h.filter(o => o.team === team);
-                    return teamOdds.reduce((best, curr) => 
+                    const teamOdds = this._shoppable(oddsData.h2h.filter(o => o.team === team));
+                    return teamOdds.length === 0 ? null : teamOdds.reduce((best, curr) => 
                         curr.odds > best.odds ? curr : best
                     );
                 });
+                if (bestOdds.includes(null)) return result;
                 
                 // Calculate implied probabilities
                 const impliedProbs = bestOdds.map(o => this._oddsToImpliedProb(o.odds));
@@ -182,93 +264,117 @@ class MarketAnalyzer {
 
     /**
      * Detect steam moves (rapid line movement)
+     * Steam = several books moving the same outcome the same way inside a short window
      */
     _detectSteamMove(gameId, oddsData) {
-        const result = { detected: false, size: 0, direction: null };
+        const result = { detected: false, size: 0, direction: null, team: null, books: 0 };
+        if (!this.historyStore) return result;
+        
+        // Need at least two books moving together, fewer if the market is thin
+        const bookCount = new Set(oddsData.h2h.map(o => o.bookmaker)).size;
+        const minBooks = Math.max(2, Math.min(this.steamMinBooks, bookCount));
+        
+        // Window ends at the newest quote, so replayed or imported snapshots behave like live ones
+        const moves = this.historyStore.getCoordinatedMoves(gameId, {
+            market: 'h2h',
+            windowMinutes: this.steamWindowMinutes,
+            now: this.historyStore.getLastUpdate(gameId) || Date.now(),
+            minChange: this.steamMoveThreshold,
+            minBooks: minBooks
+        });
         
-        if (!this.lineHistory[gameId]) {
-            // Initialize line history
-            this.lineHistory[gameId] = {
-                h2h: oddsData.h2h.map(o => ({ ...o })),
-                timestamp: Date.now()
-            };
-            return result;
+        if (moves.length > 0) {
+            const strongest = moves[0];
+            result.detected = true;
+            result.size = Math.abs(strongest.avgChange);
+            result.direction = strongest.avgChange > 0 ? 'up' : 'down';
+            result.team = strongest.outcome;
+            result.books = strongest.books;
         }
         
-        // Compare current odds with history
-        const history = this.lineHistory[gameId];
-        const timeDiff = (Date.now() - history.timestamp) / 1000 / 60; // minutes
+        return result;
+    }
+
+    /**
+     * Opening vs current consensus for each moneyline outcome
+     */
+    _getLineMovement(gameId) {
+        const movement = {};
+        if (!this.historyStore) return movement;
         
-        // Only detect if update is within 15 minutes
-        if (timeDiff <= 15) {
-            // Check for significant movement
-            for (const current of oddsData.h2h) {
-                const historical = history.h2h.find(h => 
-                    h.team === current.team && h.bookmaker === current.bookmaker
-                );
-                
-                if (historical) {
-                    const movement = this._calculateOddsMovement(historical.odds, current.odds);
-                    
-                    if (Math.abs(movement) >= this.steamMoveThreshold) {
-                        result.detected = true;
-                        result.size = Math.abs(movement);
-                        result.direction = movement > 0 ? 'up' : 'down';
-                        break;
-                    }
-                }
-            }
+        for (const outcome of this.historyStore.getOutcomes(gameId, 'h2h')) {
+            const line = this.historyStore.getLineMovement(gameId, 'h2h', outcome);
+            if (!line) continue;
+            
+            movement[outcome] = {
+                openingOdds: line.opening.odds,
+                currentOdds: line.current.odds,
+                openingProb: line.opening.probability,
+                currentProb: line.current.probability,
+                change: line.change,
+                books: line.books
+            };
         }
         
-        // Update history
-        this.lineHistory[gameId] = {
-            h2h: oddsData.h2h.map(o => ({ ...o })),
-            timestamp: Date.now()
-        };
-        
-        return result;
+        return movement;
     }
 
     /**
      * Detect sharp money (reverse line movement)
      * Line moves against public betting percentage
+     * With ticket data, a move with the ticket majority is not sharp unless the handle
+     * is well ahead of the tickets on that side (fewer, bigger bets).
+     * Without ticket data, the opening underdog stands in for the non-public side
      */
-    _detectSharpMoney(gameId, oddsData) {
-        const result = { detected: false, reverse: false };
-        
-        // This requires public betting percentage data
-        // For now, we detect based on line movement patterns
-        if (!this.lineHistory[gameId]) {
-            return result;
-        }
-        
-        const history = this.lineHistory[gameId];
-        
-        // Check if line moved significantly in short time
-        for (const current of oddsData.h2h) {
-            const historical = history.h2h.find(h => 
-                h.team === current.team && h.bookmaker === current.bookmaker
-            );
-            
-            if (historical) {
-                const movement = this._calculateOddsMovement(historical.odds, current.odds);
-                
-                // Sharp money typically indicated by 2%+ movement
-                if (Math.abs(movement) >= this.sharpThreshold) {
-                    result.detected = true;
-                    
-                    // If odds improved (got better), it's reverse line movement
-                    // Better odds = higher value, indicates sharp money on this side
-                    if (movement > 0) {
-                        result.reverse = true;
-                    }
-                }
-            }
+    _detectSharpMoney(gameId, lineMovement, publicBetting = null) {
+        const result = { detected: false, reverse: false, team: null, source: null, tickets: null, handle: null };
+        
+        const outcomes = Object.entries(lineMovement || {});
+        if (outcomes.length < 2) return result;
+        
+        // Side the market moved toward since open
+        const [team, move] = outcomes.reduce((best, curr) => curr[1].change > best[1].change ? curr : best);
+        
+        // Sharp money typically indicated by 2%+ movement
+        if (move.change < this.sharpThreshold) return result;
+        
+        result.detected = true;
+        result.team = team;
+        
+        const tickets = publicBetting && publicBetting.tickets;
+        if (tickets && typeof tickets[team] === 'number') {
+            // True reverse line movement: line moved toward a side the ticket majority is NOT on
+            const majority = Object.entries(tickets).reduce((a, b) => b[1] > a[1] ? b : a)[0];
+            const handle = publicBetting.handle && typeof publicBetting.handle[team] === 'number'
+                ? publicBetting.handle[team]
+                : null;
+            result.source = 'tickets';
+            result.tickets = tickets[team];
+            result.handle = handle;
+            result.reverse = majority !== team;
+            result.detected = result.reverse || (handle !== null && handle - tickets[team] >= this.handleGapThreshold);
+        } else {
+            // Proxy: the public leans favorites, so a move toward the opening underdog goes against them
+            const openedAsDog = outcomes.every(([name, m]) => name === team || m.openingProb >= move.openingProb);
+            result.source = 'proxy';
+            result.reverse = openedAsDog;
         }
         
         return result;
     }
 
+    /**
+     * Public betting as { tickets, handle } percentage maps, or null
+     */
+    _publicSplit(publicBetting) {
+        if (!publicBetting || typeof publicBetting !== 'object') return null;
+        if (publicBetting.tickets || publicBetting.handle) {
+            return { tickets: publicBetting.tickets || null, handle: publicBetting.handle || null };
+        }
+        const tickets = Object.fromEntries(Object.entries(publicBetting).filter(([, pct]) => typeof pct === 'number'));
+        return Object.keys(tickets).length > 0 ? { tickets, handle: null } : null;
+    }
+
     /**
      * Calculate market efficiency
      * Efficient market: low variance in implied probabilities across bookmakers
@@ -314,8 +420,8 @@ class MarketAnalyzer {
             const bookmakerOdds = oddsData.h2h.filter(o => o.bookmaker === bookmaker);
             const teams = [...new Set(bookmakerOdds.map(o => o.team))];
             
-            if (teams.length === 2) {
-                // Get implied probabilities for both teams
+            if (teams.length === 2 || teams.length === 3) {
+                // Get implied probabilities for every outcome
                 const impliedProbs = teams.map(team => {
                     const odds = bookmakerOdds.find(o => o.team === team);
                     return this._oddsToImpliedProb(odds.odds);
@@ -341,7 +447,7 @@ class MarketAnalyzer {
         const bestOdds = {};
         
         for (const team of teams) {
-            const teamOdds = oddsData.h2h.filter(o => o.team === team);
+            const teamOdds = this._shoppable(oddsData.h2h.filter(o => o.team === team));
             if (teamOdds.length === 0) continue; // Skip if no odds for this team
             
             const best = teamOdds.reduce((best, curr) => 
@@ -354,31 +460,190 @@ class MarketAnalyzer {
     }
 
     /**
-     * Calculate consensus odds (average across bookmakers)
+     * Quotes from books that pass the book filter (consensus still uses every book)
+     */
+    _shoppable(quotes) {
+        if (!this.bookFilter) return quotes;
+        return quotes.filter(q => this.bookFilter(q.bookmaker));
+    }
+
+    /**
+     * Calculate consensus odds (weighted average across bookmakers)
+     * probability keeps the vig; fairProbability averages each book's de-vigged line
      */
     _calculateConsensus(oddsData) {
         if (oddsData.h2h.length === 0) return null;
+        return this._consensusFromQuotes(oddsData.h2h);
+    }
+
+    /**
+     * Consensus for one market from quotes of shape { bookmaker, team, odds }
+     */
+    _consensusFromQuotes(quotes, method = this.devigMethod) {
+        const teams = [...new Set(quotes.map(o => o.team))];
+        const raw = {};
+        const fair = {};
+        const add = (bucket, team, value, weight) => {
+            const entry = bucket[team] = bucket[team] || { sum: 0, weight: 0, books: 0 };
+            entry.sum += value * weight;
+            entry.weight += weight;
+            entry.books++;
+        };
         
-        const teams = [...new Set(oddsData.h2h.map(o => o.team))];
-        const consensus = {};
+        for (const bookmaker of [...new Set(quotes.map(o => o.bookmaker))]) {
+            const bookOdds = quotes.filter(o => o.bookmaker === bookmaker);
+            const weight = this._bookWeight(bookmaker);
+            if (weight <= 0) continue;
+            
+            const implied = bookOdds.map(o => this._oddsToImpliedProb(o.odds));
+            bookOdds.forEach((o, i) => add(raw, o.team, implied[i], weight));
+            
+            // Only books quoting the full market (2 or 3 outcomes) can be de-vigged
+            if (bookOdds.length !== teams.length) continue;
+            const fairProbs = this.devig(implied, method);
+            bookOdds.forEach((o, i) => add(fair, o.team, fairProbs[i], weight));
+        }
         
+        const consensus = {};
         for (const team of teams) {
-            const teamOdds = oddsData.h2h.filter(o => o.team === team);
-            const impliedProbs = teamOdds.map(o => this._oddsToImpliedProb(o.odds));
-            const avgProb = impliedProbs.reduce((sum, p) => sum + p, 0) / impliedProbs.length;
+            if (!raw[team]) continue;
+            const avgProb = raw[team].sum / raw[team].weight;
+            const fairProb = fair[team] ? fair[team].sum / fair[team].weight : null;
             
             consensus[team] = {
                 probability: avgProb,
-                odds: this._impliedProbToOdds(avgProb)
+                odds: this._impliedProbToOdds(avgProb),
+                fairProbability: fairProb,
+                fairOdds: fairProb ? this._impliedProbToOdds(fairProb) : null,
+                books: raw[team].books
             };
         }
         
         return consensus;
     }
 
+    _bookWeight(bookmaker) {
+        const weight = this.bookWeights[bookmaker] ?? this.bookWeights[String(bookmaker).toLowerCase()];
+        return typeof weight === 'number' ? weight : 1;
+    }
+
+    /**
+     * Fair (no-vig) line for any market of a game
+     * @param {Object} game - Event in the-odds-api shape
+     * @param {Object} options - { market: 'h2h'|'spreads'|'totals', point, method }
+     *   point keeps only books dealing that line (spread of any side's point, or the total)
+     * @returns {Object|null} - { [outcome]: { probability, odds, fairProbability, fairOdds, books } }
+     */
+    getFairOdds(game, options = {}) {
+        const market = options.market || 'h2h';
+        const quotes = [];
+        
+        for (const bookmaker of game.bookmakers || []) {
+            const m = (bookmaker.markets || []).find(mk => mk.key === market);
+            const outcomes = (m && m.outcomes) || [];
+            if (options.point !== undefined && !outcomes.some(o => o.point === options.point)) continue;
+            for (const o of outcomes) {
+                quotes.push({ bookmaker: bookmaker.key || bookmaker.title, team: o.name, odds: o.price });
+            }
+        }
+        
+        return quotes.length > 0 ? this._consensusFromQuotes(quotes, options.method || this.devigMethod) : null;
+    }
+
+    /**
+     * Remove the bookmaker margin from one book's market
+     * Works for any number of outcomes (2-way or 3-way)
+     *
+     * - multiplicative: scale every probability by the overround
+     * - additive: subtract an equal share of the margin from each outcome
+     * - power: raise probabilities to k so they sum to 1 (shades longshots more)
+     * - shin: Shin (1993) model of insider trading; z = share of informed money
+     *
+     * @param {Array<number>} impliedProbs - Raw implied probabilities
+     * @param {string} method - De-vig method (defaults to this.devigMethod)
+     * @returns {Array<number>} - Fair probabilities summing to 1
+     */
+    devig(impliedProbs, method = this.devigMethod) {
+        const total = impliedProbs.reduce((sum, p) => sum + p, 0);
+        if (!(total > 0)) return impliedProbs.slice();
+        
+        if (method === 'additive') {
+            const share = (total - 1) / impliedProbs.length;
+            const shifted = impliedProbs.map(p => Math.max(p - share, 1e-6));
+            const shiftedTotal = shifted.reduce((sum, p) => sum + p, 0);
+            return shifted.map(p => p / shiftedTotal);
+        }
+        
+        if (method === 'power' && total > 1) {
+            // sum(p^k) decreases as k grows; find k with sum = 1
+            const k = solveDevig(k => impliedProbs.reduce((sum, p) => sum + Math.pow(p, k), 0) - 1, 1, 10);
+            return normalizeDevig(impliedProbs.map(p => Math.pow(p, k)));
+        }
+        
+        if (method === 'shin' && total > 1) {
+            const shinProbs = z => impliedProbs.map(p =>
+                (Math.sqrt(z * z + 4 * (1 - z) * p * p / total) - z) / (2 * (1 - z))
+            );
+            const z = solveDevig(z => shinProbs(z).reduce((sum, p) => sum + p, 0) - 1, 0, 0.5);
+            return normalizeDevig(shinProbs(z));
+        }
+        
+        return impliedProbs.map(p => p / total);
+    }
+
+    /**
+     * A moneyline market with a Draw outcome (soccer 1X2)
+     */
+    _isThreeWay(oddsData) {
+        const outcomes = new Set(oddsData.h2h.map(o => o.team));
+        return outcomes.size === 3 && outcomes.has('Draw');
+    }
+
+    /**
+     * Double-chance and draw-no-bet prices derived from a 1X2 market
+     * fairOdds come from the no-vig consensus; bestOdds are the synthetic prices
+     * you can build by combining the best available 1X2 prices.
+     * @returns {Object|null} - { doubleChance: { homeOrDraw, drawOrAway, homeOrAway }, drawNoBet: { home, away } }
+     */
+    deriveThreeWayMarkets(homeTeam, awayTeam, consensus, bestOdds = null) {
+        const pHome = consensus?.[homeTeam]?.fairProbability;
+        const pDraw = consensus?.Draw?.fairProbability;
+        const pAway = consensus?.[awayTeam]?.fairProbability;
+        if (!pHome || !pDraw || !pAway) return null;
+        
+        const best = name => bestOdds?.[name] ? this._oddsToDecimal(bestOdds[name].odds) : null;
+        const [dHome, dDraw, dAway] = [best(homeTeam), best('Draw'), best(awayTeam)];
+        
+        // Dutching two outcomes: stakes proportional to 1/decimal
+        const dutch = (a, b) => (a && b) ? this._decimalToOdds(1 / (1 / a + 1 / b)) : null;
+        // Draw-no-bet: back the side, hedge the draw so a draw returns the stake
+        const noBet = (side, draw) => {
+            if (!side || !draw) return null;
+            const decimal = side * (1 - 1 / draw);
+            return decimal > 1 ? this._decimalToOdds(decimal) : null;
+        };
+        const line = (probability, synthetic) => ({
+            probability: probability,
+            fairOdds: this._impliedProbToOdds(probability),
+            bestOdds: synthetic
+        });
+        
+        return {
+            doubleChance: {
+                homeOrDraw: line(pHome + pDraw, dutch(dHome, dDraw)),
+                drawOrAway: line(pDraw + pAway, dutch(dDraw, dAway)),
+                homeOrAway: line(pHome + pAway, dutch(dHome, dAway))
+            },
+            drawNoBet: {
+                home: line(pHome / (pHome + pAway), noBet(dHome, dDraw)),
+                away: line(pAway / (pHome + pAway), noBet(dAway, dDraw))
+            }
+        };
+    }
+
     /**
      * Identify value bets
-     * Value exists when best odds imply lower probability than consensus
+     * Value exists when best odds imply lower probability than the fair (no-vig) consensus
      */
     _identifyValueBet(consensus, bestOdds, marketEfficiency) {
         const result = { exists: false, edge: 0, team: null };
@@ -389,9 +654,9 @@ class MarketAnalyzer {
             if (!consensus[team]) continue;
             
             const bestImplied = this._oddsToImpliedProb(best.odds);
-            const consensusProb = consensus[team].probability;
+            const consensusProb = consensus[team].fairProbability ?? consensus[team].probability;
             
-            // Value edge = consensus probability - best implied probability
+            // Value edge = fair probability - best implied probability
             const edge = consensusProb - bestImplied;
             
             // Adjust for market efficiency
@@ -435,6 +700,20 @@ class MarketAnalyzer {
         }
     }
 
+    /**
+     * Convert American odds to decimal odds
+     */
+    _oddsToDecimal(odds) {
+        return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+    }
+
+    /**
+     * Convert decimal odds to American odds
+     */
+    _decimalToOdds(decimal) {
+        return decimal >= 2 ? (decimal - 1) * 100 : -100 / (decimal - 1);
+    }
+
     /**
      * Calculate odds movement percentage
      */
@@ -448,11 +727,8 @@ class MarketAnalyzer {
      * Clear old line history (memory management)
      */
     clearOldHistory(maxAge = 86400000) { // 24 hours default
-        const now = Date.now();
-        for (const [gameId, history] of Object.entries(this.lineHistory)) {
-            if (now - history.timestamp > maxAge) {
-                delete this.lineHistory[gameId];
-            }
+        if (this.historyStore) {
+            return this.historyStore.prune(maxAge);
         }
     }
 
@@ -463,27 +739,54 @@ class MarketAnalyzer {
         return {
             valueThreshold: this.valueThreshold,
             steamMoveThreshold: this.steamMoveThreshold,
+            steamWindowMinutes: this.steamWindowMinutes,
+            steamMinBooks: this.steamMinBooks,
             arbitrageThreshold: this.arbitrageThreshold,
             sharpThreshold: this.sharpThreshold,
-            lineHistory: this.lineHistory
+            handleGapThreshold: this.handleGapThreshold,
+            devigMethod: this.devigMethod
         };
     }
 
     /**
      * Deserialize analyzer state from JSON
+     * (line history lives in its own store, so older saved snapshots are ignored)
      */
-    static fromJSON(json) {
-        const analyzer = new MarketAnalyzer({
+    static fromJSON(json, options = {}) {
+        return new MarketAnalyzer({
             valueThreshold: json.valueThreshold,
             steamMoveThreshold: json.steamMoveThreshold,
+            steamWindowMinutes: json.steamWindowMinutes,
+            steamMinBooks: json.steamMinBooks,
             arbitrageThreshold: json.arbitrageThreshold,
-            sharpThreshold: json.sharpThreshold
+            sharpThreshold: json.sharpThreshold,
+            handleGapThreshold: json.handleGapThreshold,
+            devigMethod: json.devigMethod,
+            ...options
         });
-        analyzer.lineHistory = json.lineHistory || {};
-        return analyzer;
     }
 }
 
+// ============ Helper Functions ============
+
+/**
+ * Bisection root of f on [lo, hi] (f changes sign on the interval)
+ */
+function solveDevig(f, lo, hi, iterations = 60) {
+    const loSign = Math.sign(f(lo));
+    for (let i = 0; i < iterations; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(f(mid)) === loSign) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+function normalizeDevig(probs) {
+    const total = probs.reduce((sum, p) => sum + p, 0);
+    return probs.map(p => p / total);
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MarketAnalyzer;
@@ -1,6 +1,6 @@
 /**
  * Neural Network Module
- * 4-layer feedforward neural network: 55 → 100 → 50 → 25 → 1
+ * 4-layer feedforward neural network: 57 → 100 → 50 → 25 → 1
  * 
  * Features:
  * - Xavier/Glorot initialization
@@ -13,7 +13,7 @@
  */
 
 class NeuralNetwork {
-    constructor(inputSize = 55, hiddenLayers = [100, 50, 25], outputSize = 1) {
+    constructor(inputSize = 57, hiddenLayers = [100, 50, 25], outputSize = 1) {
         this.inputSize = inputSize;
         this.hiddenLayers = hiddenLayers;
         this.outputSize = outputSize;
@@ -0,0 +1,271 @@
+/**
+ * Poisson Score Model Module
+ * Dixon-Coles scoreline model for low-scoring sports (soccer, hockey)
+ *
+ * Features:
+ * - Attack and defense strength per team plus a league-wide home advantage, fitted by weighted
+ *   Poisson maximum likelihood on the results store's games
+ * - Time decay: each game counts 0.5^(age / halfLifeDays), so recent form weighs more
+ * - Strengths shrink toward average for teams with few games (prior, in goals)
+ * - Dixon-Coles correction of the 0-0, 1-0, 0-1 and 1-1 cells (rho, fitted after the strengths)
+ * - Full score-probability matrix per game, from which moneyline, 1X2, totals and spreads follow
+ * - Fits as of the start of the game's day (UTC), cached per sport and day, so replayed games
+ *   never see their own or later results
+ *
+ * Stored scores are final scores, so hockey is fitted on scores including overtime and shootouts,
+ * the same scores its totals settle on.
+ */
+
+const POISSON_DAY_MS = 86400000;
+
+class PoissonScoreModel {
+    /**
+     * @param {Object} options
+     *   store        - ResultsStore the games come from
+     *   sports       - Sport keys the model covers (default EPL, MLS, UCL, NHL)
+     *   halfLifeDays - Age at which a game counts half (default 180)
+     *   minGames     - Games each team needs in the fit before it predicts (default 5)
+     *   prior        - Pseudo-goals pulling strengths toward average (default 2)
+     *   maxGoals     - Largest score per side in the matrix (default 10)
+     *   iterations   - Fitting passes (default 30)
+     */
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.sports = options.sports || ['soccer_epl', 'soccer_usa_mls', 'soccer_uefa_champs_league', 'icehockey_nhl'];
+        this.halfLifeDays = options.halfLifeDays || 180;
+        this.minGames = options.minGames || 5;
+        this.prior = options.prior ?? 2;
+        this.maxGoals = options.maxGoals || 10;
+        this.iterations = options.iterations || 30;
+
+        // Fits by 'sportKey|day', dropped whenever the store changes
+        this.fits = new Map();
+        this.maxFits = 500;
+        this.revision = null;
+    }
+
+    covers(sportKey) {
+        return this.sports.includes(sportKey);
+    }
+
+    /**
+     * Strengths of a sport's teams from the games before the start of `at`'s day
+     * @returns {Object} - { teams: { teamKey: { attack, defense, games } }, base, homeAdvantage, rho, games }
+     */
+    fit(sportKey, at = Date.now()) {
+        const dayStart = Math.floor(at / POISSON_DAY_MS) * POISSON_DAY_MS;
+        const key = `${sportKey}|${dayStart}`;
+        if (this.revision !== this.store.revision) {
+            this.fits.clear();
+            this.revision = this.store.revision;
+        }
+        if (this.fits.has(key)) return this.fits.get(key);
+
+        const games = this.store.getGames(sportKey)
+            .filter(g => g.commenceTime < dayStart)
+            .map(g => ({ ...g, w: Math.pow(0.5, (dayStart - g.commenceTime) / POISSON_DAY_MS / this.halfLifeDays) }));
+        const fit = this._fitStrengths(games);
+        fit.rho = this._fitRho(games, fit);
+
+        if (this.fits.size >= this.maxFits) this.fits.delete(this.fits.keys().next().value);
+        this.fits.set(key, fit);
+        return fit;
+    }
+
+    /**
+     * Score-probability matrix and outcome probabilities for a game
+     * @param {Object} options - { at } (default now), { overtime } when level games go to overtime
+     *                           (homeWin then includes the home side's share of the draws)
+     * @returns {Object|null} - { expectedHome, expectedAway, rho, matrix[home][away], home, draw, away, homeWin };
+     *                          null for other sports or teams with fewer than minGames games
+     */
+    predict(sportKey, homeTeam, awayTeam, options = {}) {
+        if (!this.store || !this.covers(sportKey)) return null;
+        const fit = this.fit(sportKey, options.at ?? Date.now());
+        const home = fit.teams[this.store.teamKey(sportKey, homeTeam)];
+        const away = fit.teams[this.store.teamKey(sportKey, awayTeam)];
+        if (!home || !away || home.games < this.minGames || away.games < this.minGames) return null;
+
+        const lambda = fit.base * fit.homeAdvantage * home.attack * away.defense;
+        const mu = fit.base * away.attack * home.defense;
+        const matrix = this._scoreMatrix(lambda, mu, fit.rho);
+
+        let homeWins = 0;
+        let draw = 0;
+        let awayWins = 0;
+        for (let i = 0; i <= this.maxGoals; i++) {
+            for (let j = 0; j <= this.maxGoals; j++) {
+                if (i > j) homeWins += matrix[i][j];
+                else if (i === j) draw += matrix[i][j];
+                else awayWins += matrix[i][j];
+            }
+        }
+
+        return {
+            expectedHome: lambda,
+            expectedAway: mu,
+            rho: fit.rho,
+            matrix,
+            home: homeWins,
+            draw,
+            away: awayWins,
+            // Sudden-death overtime: the home side scores first with probability lambda / (lambda + mu)
+            homeWin: homeWins + (options.overtime ? draw * lambda / (lambda + mu) : 0)
+        };
+    }
+
+    /**
+     * Over/under a total from a prediction's matrix
+     * @returns {Object} - { over, under, push } (push is 0 on half-point lines)
+     */
+    totalProbabilities(prediction, point) {
+        const result = { over: 0, under: 0, push: 0 };
+        prediction.matrix.forEach((row, i) => row.forEach((p, j) => {
+            if (i + j > point) result.over += p;
+            else if (i + j < point) result.under += p;
+            else result.push += p;
+        }));
+        return result;
+    }
+
+    /**
+     * Spread from a prediction's matrix (homePoint added to the home score, e.g. -1.5)
+     * @returns {Object} - { home, away, push }
+     */
+    spreadProbabilities(prediction, homePoint) {
+        const result = { home: 0, away: 0, push: 0 };
+        prediction.matrix.forEach((row, i) => row.forEach((p, j) => {
+            const margin = i + homePoint - j;
+            if (margin > 0) result.home += p;
+            else if (margin < 0) result.away += p;
+            else result.push += p;
+        }));
+        return result;
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * Weighted Poisson fit by coordinate ascent (each update is the closed-form maximum given the rest):
+     * home goals ~ Poisson(base * homeAdvantage * attack[home] * defense[away]),
+     * away goals ~ Poisson(base * attack[away] * defense[home]); attack and defense average 1.
+     */
+    _fitStrengths(games) {
+        const teams = {};
+        for (const g of games) {
+            for (const key of [g.homeKey, g.awayKey]) {
+                teams[key] = teams[key] || { attack: 1, defense: 1, games: 0 };
+            }
+            teams[g.homeKey].games++;
+            teams[g.awayKey].games++;
+        }
+        const fit = { teams, base: 1, homeAdvantage: 1, rho: 0, games: games.length };
+        if (games.length === 0) return fit;
+
+        const sum = f => games.reduce((s, g) => s + g.w * f(g), 0);
+        const p = this.prior;
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const { base: c, homeAdvantage: h } = fit;
+
+            const num = {};
+            const den = {};
+            for (const key of Object.keys(teams)) num[key] = den[key] = p;
+            for (const g of games) {
+                num[g.homeKey] += g.w * g.homeScore;
+                den[g.homeKey] += g.w * c * h * teams[g.awayKey].defense;
+                num[g.awayKey] += g.w * g.awayScore;
+                den[g.awayKey] += g.w * c * teams[g.homeKey].defense;
+            }
+            for (const key of Object.keys(teams)) teams[key].attack = num[key] / den[key];
+
+            for (const key of Object.keys(teams)) num[key] = den[key] = p;
+            for (const g of games) {
+                num[g.homeKey] += g.w * g.awayScore;
+                den[g.homeKey] += g.w * c * teams[g.awayKey].attack;
+                num[g.awayKey] += g.w * g.homeScore;
+                den[g.awayKey] += g.w * c * h * teams[g.homeKey].attack;
+            }
+            for (const key of Object.keys(teams)) teams[key].defense = num[key] / den[key];
+
+            // Keep both strengths centered on 1; the base rate absorbs the scale
+            const values = Object.values(teams);
+            const meanAttack = values.reduce((s, t) => s + t.attack, 0) / values.length;
+            const meanDefense = values.reduce((s, t) => s + t.defense, 0) / values.length;
+            values.forEach(t => { t.attack /= meanAttack; t.defense /= meanDefense; });
+
+            fit.homeAdvantage = sum(g => g.homeScore) /
+                sum(g => c * teams[g.homeKey].attack * teams[g.awayKey].defense);
+            fit.base = sum(g => g.homeScore + g.awayScore) /
+                sum(g => fit.homeAdvantage * teams[g.homeKey].attack * teams[g.awayKey].defense +
+                         teams[g.awayKey].attack * teams[g.homeKey].defense);
+        }
+        return fit;
+    }
+
+    /**
+     * Dixon-Coles rho by grid search on the low-score games (the correction is 1 everywhere else)
+     */
+    _fitRho(games, fit) {
+        const low = games
+            .filter(g => g.homeScore <= 1 && g.awayScore <= 1)
+            .map(g => ({
+                x: g.homeScore,
+                y: g.awayScore,
+                w: g.w,
+                lambda: fit.base * fit.homeAdvantage * fit.teams[g.homeKey].attack * fit.teams[g.awayKey].defense,
+                mu: fit.base * fit.teams[g.awayKey].attack * fit.teams[g.homeKey].defense
+            }));
+        if (low.length === 0) return 0;
+
+        let best = { rho: 0, logLik: -Infinity };
+        for (let rho = -0.2; rho <= 0.2001; rho += 0.005) {
+            let logLik = 0;
+            for (const g of low) {
+                const tau = poissonTau(g.x, g.y, g.lambda, g.mu, rho);
+                if (tau <= 0) { logLik = -Infinity; break; }
+                logLik += g.w * Math.log(tau);
+            }
+            if (logLik > best.logLik) best = { rho: Math.round(rho * 1000) / 1000, logLik };
+        }
+        return best.rho;
+    }
+
+    _scoreMatrix(lambda, mu, rho) {
+        const homeGoals = poissonPmf(lambda, this.maxGoals);
+        const awayGoals = poissonPmf(mu, this.maxGoals);
+        let total = 0;
+        const matrix = homeGoals.map((ph, i) => awayGoals.map((pa, j) => {
+            const p = Math.max(0, ph * pa * poissonTau(i, j, lambda, mu, rho));
+            total += p;
+            return p;
+        }));
+        // Scores past maxGoals are cut off; renormalize what is left
+        return matrix.map(row => row.map(p => p / total));
+    }
+}
+
+// P(0..max) of a Poisson distribution
+function poissonPmf(rate, max) {
+    const out = [Math.exp(-rate)];
+    for (let k = 1; k <= max; k++) out.push(out[k - 1] * rate / k);
+    return out;
+}
+
+// Dixon-Coles adjustment of the low-score cells
+function poissonTau(x, y, lambda, mu, rho) {
+    if (x === 0 && y === 0) return 1 - lambda * mu * rho;
+    if (x === 0 && y === 1) return 1 + lambda * rho;
+    if (x === 1 && y === 0) return 1 + mu * rho;
+    if (x === 1 && y === 1) return 1 - rho;
+    return 1;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoissonScoreModel;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.PoissonScoreModel = PoissonScoreModel;
+}
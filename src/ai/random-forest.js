@@ -0,0 +1,269 @@
+/**
+ * Random Forest Module
+ * Bagged decision trees for win probability
+ *
+ * Features:
+ * - Bootstrap sample per tree; out-of-bag rows give an honest error estimate without a holdout
+ * - Feature subsampling at every split (sqrt of the feature count by default)
+ * - Gini splits on per-feature quantile bins
+ * - Leaves hold the home-win rate of their rows; the forest averages them
+ * - Compact serialization: each tree is one flat number array (leaf values rounded, split
+ *   thresholds exact)
+ */
+
+class RandomForest {
+    /**
+     * @param {Object} options
+     *   nTrees         - Trees in the forest (default 50)
+     *   maxDepth       - Depth of each tree (default 6)
+     *   minSamplesLeaf - Smallest leaf (default 10)
+     *   maxFeatures    - Features tried per split (default sqrt of the feature count)
+     *   maxBins        - Split candidates per feature (default 32)
+     */
+    constructor(options = {}) {
+        this.nTrees = options.nTrees || 50;
+        this.maxDepth = options.maxDepth || 6;
+        this.minSamplesLeaf = options.minSamplesLeaf || 10;
+        this.maxFeatures = options.maxFeatures || null;
+        this.maxBins = options.maxBins || 32;
+
+        // Model state
+        this.trees = [];          // Flat arrays, see _flatten()
+        this.featureCount = 0;
+        this.oobScore = null;     // Out-of-bag accuracy
+        this.oobError = null;     // 1 - oobScore
+        this.oobLogLoss = null;
+        this.oobSamples = 0;      // Rows with at least one out-of-bag vote
+        this.trainedAt = null;
+        this.samples = 0;
+    }
+
+    /**
+     * Grow a new forest on a labeled set
+     * @param {Array<Array<number>>} inputs - Feature vectors
+     * @param {Array<number>} targets - 1 (home won) or 0
+     * @returns {Object} - { trees, oobScore, oobError }
+     */
+    train(inputs, targets, options = {}) {
+        const n = inputs.length;
+        if (n === 0) return { trees: 0, oobScore: null, oobError: null };
+
+        const random = options.random || Math.random;
+        this.featureCount = inputs[0].length;
+        const mtry = this.maxFeatures || Math.max(1, Math.round(Math.sqrt(this.featureCount)));
+        const { bins, thresholds } = rfBinFeatures(inputs, this.maxBins);
+
+        this.trees = [];
+        const oobSum = new Float64Array(n);
+        const oobVotes = new Int32Array(n);
+
+        for (let t = 0; t < this.nTrees; t++) {
+            const rows = new Array(n);
+            const inBag = new Uint8Array(n);
+            for (let i = 0; i < n; i++) {
+                const pick = Math.floor(random() * n);
+                rows[i] = pick;
+                inBag[pick] = 1;
+            }
+
+            const root = this._buildNode(rows, 0, bins, thresholds, targets, mtry, random);
+            const tree = this._flatten(root);
+            this.trees.push(tree);
+
+            for (let i = 0; i < n; i++) {
+                if (inBag[i]) continue;
+                oobSum[i] += rfTreeValue(tree, inputs[i]);
+                oobVotes[i]++;
+            }
+        }
+
+        // Out-of-bag estimate: each row judged only by trees that never saw it
+        let correct = 0;
+        let loss = 0;
+        let counted = 0;
+        for (let i = 0; i < n; i++) {
+            if (oobVotes[i] === 0) continue;
+            const p = oobSum[i] / oobVotes[i];
+            const clipped = Math.min(1 - 1e-6, Math.max(1e-6, p));
+            if ((p > 0.5 ? 1 : 0) === targets[i]) correct++;
+            loss -= targets[i] * Math.log(clipped) + (1 - targets[i]) * Math.log(1 - clipped);
+            counted++;
+        }
+        this.oobSamples = counted;
+        this.oobScore = counted > 0 ? correct / counted : null;
+        this.oobError = this.oobScore === null ? null : 1 - this.oobScore;
+        this.oobLogLoss = counted > 0 ? loss / counted : null;
+        this.trainedAt = Date.now();
+        this.samples = n;
+
+        return { trees: this.trees.length, oobScore: this.oobScore, oobError: this.oobError };
+    }
+
+    /**
+     * Win probability for a feature vector
+     * @returns {number|null} - null before training, so the ensemble leaves it out
+     */
+    predict(features) {
+        if (this.trees.length === 0) return null;
+        let sum = 0;
+        for (const tree of this.trees) {
+            sum += rfTreeValue(tree, features);
+        }
+        return sum / this.trees.length;
+    }
+
+    // ============ Helper Functions ============
+
+    _buildNode(rows, depth, bins, thresholds, targets, mtry, random) {
+        let positives = 0;
+        for (const i of rows) positives += targets[i];
+        const n = rows.length;
+        const leaf = { v: positives / n };
+        if (depth >= this.maxDepth || n < this.minSamplesLeaf * 2 || positives === 0 || positives === n) return leaf;
+
+        // Weighted Gini of a split, lower is better
+        const parentGini = 1 - (positives / n) ** 2 - (1 - positives / n) ** 2;
+        let best = null;
+
+        for (const f of rfSampleFeatures(this.featureCount, mtry, random)) {
+            const cuts = thresholds[f];
+            if (cuts.length === 0) continue;
+
+            const size = cuts.length + 1;
+            const pos = new Int32Array(size);
+            const count = new Int32Array(size);
+            for (const i of rows) {
+                const b = bins[i][f];
+                pos[b] += targets[i];
+                count[b]++;
+            }
+
+            let pl = 0;
+            let nl = 0;
+            for (let b = 0; b < cuts.length; b++) {
+                pl += pos[b];
+                nl += count[b];
+                const nr = n - nl;
+                if (nl < this.minSamplesLeaf || nr < this.minSamplesLeaf) continue;
+                const pr = positives - pl;
+                const giniL = 1 - (pl / nl) ** 2 - (1 - pl / nl) ** 2;
+                const giniR = 1 - (pr / nr) ** 2 - (1 - pr / nr) ** 2;
+                const impurity = (nl * giniL + nr * giniR) / n;
+                if (impurity < parentGini - 1e-9 && (!best || impurity < best.impurity)) {
+                    best = { feature: f, bin: b, threshold: cuts[b], impurity };
+                }
+            }
+        }
+
+        if (!best) return leaf;
+
+        const left = [];
+        const right = [];
+        for (const i of rows) {
+            (bins[i][best.feature] <= best.bin ? left : right).push(i);
+        }
+        return {
+            f: best.feature,
+            t: best.threshold,
+            l: this._buildNode(left, depth + 1, bins, thresholds, targets, mtry, random),
+            r: this._buildNode(right, depth + 1, bins, thresholds, targets, mtry, random)
+        };
+    }
+
+    /**
+     * Pre-order flat array, three numbers per node:
+     * split: [feature, threshold, index of right child] (left child follows directly)
+     * leaf:  [-1, value, 0]
+     */
+    _flatten(root) {
+        const out = [];
+        const visit = node => {
+            const at = out.length;
+            if (node.v !== undefined) {
+                out.push(-1, Math.round(node.v * 1000) / 1000, 0);
+                return;
+            }
+            // Thresholds stay exact: rounding could move a cut past training values and re-route them
+            out.push(node.f, node.t, 0);
+            visit(node.l);
+            out[at + 2] = out.length;
+            visit(node.r);
+        };
+        visit(root);
+        return out;
+    }
+
+    /**
+     * Serialize model to JSON
+     */
+    toJSON() {
+        return {
+            nTrees: this.nTrees,
+            maxDepth: this.maxDepth,
+            minSamplesLeaf: this.minSamplesLeaf,
+            maxFeatures: this.maxFeatures,
+            maxBins: this.maxBins,
+            trees: this.trees,
+            featureCount: this.featureCount,
+            oobScore: this.oobScore,
+            oobError: this.oobError,
+            oobLogLoss: this.oobLogLoss,
+            oobSamples: this.oobSamples,
+            trainedAt: this.trainedAt,
+            samples: this.samples
+        };
+    }
+
+    /**
+     * Deserialize model from JSON
+     */
+    static fromJSON(json) {
+        const model = new RandomForest(json);
+        model.trees = json.trees || [];
+        model.featureCount = json.featureCount || 0;
+        model.oobScore = json.oobScore ?? null;
+        model.oobError = json.oobError ?? null;
+        model.oobLogLoss = json.oobLogLoss ?? null;
+        model.oobSamples = json.oobSamples || 0;
+        model.trainedAt = json.trainedAt || null;
+        model.samples = json.samples || 0;
+        return model;
+    }
+}
+
+// Leaf value of a flat tree for one feature vector
+function rfTreeValue(tree, features) {
+    let at = 0;
+    while (tree[at] !== -1) {
+        at = (features[tree[at]] ?? 0) <= tree[at + 1] ? at + 3 : tree[at + 2];
+    }
+    return tree[at + 1];
+}
+
+// Quantile bins, shared with the gradient-boosted trees (looked up at call time: the AI
+// modules load in parallel, in no fixed order)
+function rfBinFeatures(inputs, maxBins) {
+    const Trees = typeof GradientBoostedTrees !== 'undefined' ? GradientBoostedTrees : require('./gradient-boosting');
+    return Trees.binFeatures(inputs, maxBins);
+}
+
+// mtry distinct feature indices (partial Fisher-Yates)
+function rfSampleFeatures(count, mtry, random) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    const k = Math.min(mtry, count);
+    for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(random() * (count - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, k);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RandomForest;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.RandomForest = RandomForest;
+}
@@ -0,0 +1,368 @@
+/**
+ * API Budget Module
+ * Plans Odds API spending from the quota the provider reports
+ *
+ * Features:
+ * - Reads x-requests-remaining / x-requests-used / x-requests-last from every response
+ *   (falls back to local estimates until the first response arrives)
+ * - Per-key accounting; the first key with quota left is the active one
+ * - Spreads what's left of the month evenly over the remaining days
+ * - Keeps a reserve for essential work (settlement, closing lines)
+ * - Prioritizes sports with games in the upcoming window; sports whose last
+ *   fetch came back empty (off-season) are only rechecked every few days
+ * - Forecasts when the quota will run out at the current burn rate
+ *
+ * Quota cost (the-odds-api): odds = markets × regions, scores = 1 (2 with daysFrom).
+ */
+
+class ApiBudgetPlanner {
+    constructor(options = {}) {
+        this.keys = (options.keys || []).map(k => ({ name: k.name, key: k.key, limit: k.limit || 500 }));
+        this.storage = options.storage || null;           // localStorage-like
+        this.storageKey = options.storageKey || 'apiBudget';
+        this.reserveFraction = options.reserveFraction ?? 0.05; // share of the monthly limit kept for essential calls
+        this.windowHours = options.windowHours || 24;      // "has games" = a game starts inside this window
+        this.emptyRecheckDays = options.emptyRecheckDays || 7;
+        this.staleHours = options.staleHours || 24;        // sport knowledge older than this counts as unknown
+        this.now = options.now || (() => Date.now());
+
+        this.state = this._load();
+    }
+
+    // ============ Quota Tracking ============
+
+    /**
+     * The key requests should use: first key with quota left
+     */
+    getActiveKey() {
+        const month = this._month();
+        for (const k of this.keys) {
+            const usage = month.keys[k.name];
+            if ((usage.remaining ?? usage.limit - usage.used) > 0) return k;
+        }
+        return this.keys[0] || { name: 'none', key: '', limit: 0 };
+    }
+
+    /**
+     * Record one API response (wire to the provider's onRequest hook)
+     * @param {Response} response - fetch Response (headers are read if present)
+     * @param {Object} info - { path, params }
+     */
+    recordResponse(response, info = {}) {
+        const month = this._month();
+        const key = this.getActiveKey();
+        const usage = month.keys[key.name] = month.keys[key.name] || newKeyUsage(key.limit);
+
+        const header = name => {
+            const value = response && response.headers && response.headers.get
+                ? parseFloat(response.headers.get(name))
+                : NaN;
+            return Number.isFinite(value) ? value : null;
+        };
+        const remaining = header('x-requests-remaining');
+        const used = header('x-requests-used');
+        const last = header('x-requests-last');
+        const cost = last ?? ApiBudgetPlanner.estimateCost(info.path, info.params);
+
+        if (remaining !== null && used !== null) {
+            // First real numbers this month: today's allowance was based on local guesses
+            if (usage.source !== 'headers') this._day().startRemaining = null;
+            usage.remaining = remaining;
+            usage.used = used;
+            usage.limit = remaining + used;
+            usage.source = 'headers';
+        } else {
+            usage.used += cost;
+            usage.remaining = usage.remaining === null ? null : Math.max(0, usage.remaining - cost);
+        }
+        usage.updatedAt = this.now();
+
+        const day = this._day();
+        day.spent += cost;
+        const sportKey = sportFromPath(info.path);
+        if (sportKey) day.bySport[sportKey] = (day.bySport[sportKey] || 0) + cost;
+
+        this._save();
+        return usage;
+    }
+
+    /**
+     * Remember which sports have games (wire to the provider's onOdds hook)
+     */
+    recordEvents(sportKey, events) {
+        if (!Array.isArray(events)) return;
+        const starts = events
+            .map(e => Date.parse(e.commence_time))
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b)
+            .slice(0, 100);
+        this.state.sports[sportKey] = { checkedAt: this.now(), events: events.length, starts };
+        this._save();
+    }
+
+    /**
+     * Quota cost of one request
+     */
+    static estimateCost(path = '', params = {}) {
+        if (/\/scores$/.test(path)) return params.daysFrom ? 2 : 1;
+        if (/\/odds$/.test(path)) {
+            const count = value => String(value || '').split(',').filter(Boolean).length || 1;
+            return count(params.markets) * count(params.regions);
+        }
+        return 1;
+    }
+
+    // ============ Planning ============
+
+    /**
+     * Current budget: totals, today's allowance and the run-out forecast
+     */
+    getStatus() {
+        const month = this._month();
+        const now = this.now();
+        const keys = this.keys.map(k => {
+            const usage = month.keys[k.name] || newKeyUsage(k.limit);
+            const remaining = usage.remaining ?? Math.max(0, usage.limit - usage.used);
+            return { name: k.name, used: usage.used, limit: usage.limit, remaining, source: usage.source };
+        });
+
+        const used = keys.reduce((sum, k) => sum + k.used, 0);
+        const limit = keys.reduce((sum, k) => sum + k.limit, 0);
+        const remaining = keys.reduce((sum, k) => sum + k.remaining, 0);
+        const reserve = Math.ceil(limit * this.reserveFraction);
+
+        // Allowance is fixed at the first look each day so spending today doesn't shrink it
+        const day = this._day();
+        if (day.startRemaining === null) {
+            day.startRemaining = remaining + day.spent;
+            this._save();
+        }
+        const daysLeft = daysLeftInMonth(now);
+        const dailyAllowance = Math.max(0, Math.floor((day.startRemaining - reserve) / daysLeft));
+
+        return {
+            used,
+            limit,
+            remaining,
+            reserve,
+            source: keys.some(k => k.source === 'headers') ? 'headers' : 'local',
+            keys,
+            daysLeft,
+            dailyAllowance,
+            spentToday: day.spent,
+            todayRemaining: Math.max(0, dailyAllowance - day.spent),
+            forecast: this.getForecast(remaining)
+        };
+    }
+
+    /**
+     * When the quota runs out at the recent burn rate
+     * @returns {Object} - { burnRate (calls/day), exhaustsAt (ms) | null, lastsUntilReset }
+     */
+    getForecast(remaining = null) {
+        const now = this.now();
+        if (remaining === null) remaining = this.getStatus().remaining;
+
+        // Average over the last 7 days that had any activity, today included
+        const recent = Object.entries(this.state.days)
+            .filter(([date]) => now - Date.parse(date) <= 7 * 86400000)
+            .map(([, d]) => d.spent);
+        const burnRate = recent.length > 0 ? recent.reduce((sum, s) => sum + s, 0) / recent.length : 0;
+
+        const resetAt = nextMonthStart(now);
+        if (burnRate <= 0) return { burnRate: 0, exhaustsAt: null, resetAt, lastsUntilReset: true };
+
+        const exhaustsAt = now + (remaining / burnRate) * 86400000;
+        return { burnRate, exhaustsAt, resetAt, lastsUntilReset: exhaustsAt >= resetAt };
+    }
+
+    /**
+     * Whether a request of this cost fits the plan
+     * @param {number} cost - Quota units
+     * @param {Object} options - { priority: 'normal' | 'essential' }
+     *   normal: must fit today's allowance and leave the reserve untouched
+     *   essential: may use the reserve and exceed today's pace (settlement, closing lines)
+     */
+    canSpend(cost = 1, options = {}) {
+        const status = this.getStatus();
+        const essential = options.priority === 'essential';
+
+        let reason = null;
+        if (status.remaining < cost) {
+            reason = 'quota exhausted';
+        } else if (!essential && status.remaining - cost < status.reserve) {
+            reason = 'reserve kept for settlement';
+        } else if (!essential && status.todayRemaining < cost) {
+            reason = `daily budget spent (${status.spentToday}/${status.dailyAllowance})`;
+        }
+        return { allowed: reason === null, reason, cost, ...status };
+    }
+
+    /**
+     * Order sports by how likely a request is to be useful and keep those that fit the budget
+     * @param {Array} sports - [{ key, name, ... }]
+     * @param {Object} options - { cost (per sport), priority, windowHours }
+     * @returns {Object} - { run: [sport], skipped: [{ sport, reason }] }
+     */
+    planSports(sports, options = {}) {
+        const cost = options.cost ?? 1;
+        const windowHours = options.windowHours || this.windowHours;
+        const scored = sports.map(sport => ({ sport, ...this._sportPriority(sport.key, windowHours) }));
+        const run = [];
+        const skipped = [];
+
+        let planned = 0;
+        for (const entry of scored.sort((a, b) => b.score - a.score)) {
+            if (entry.score <= 0) {
+                skipped.push({ sport: entry.sport, reason: entry.reason });
+                continue;
+            }
+            const check = this.canSpend(planned + cost, options);
+            if (!check.allowed) {
+                skipped.push({ sport: entry.sport, reason: check.reason });
+                continue;
+            }
+            planned += cost;
+            run.push(entry.sport);
+        }
+        return { run, skipped, cost: planned };
+    }
+
+    /**
+     * Sports with open picks whose games should be over by now
+     * @returns {Array<string>} - Sport keys, most pending picks first
+     */
+    planSettlement(predictions, options = {}) {
+        const now = this.now();
+        // Hours after start before a game can be final; a number or (prediction) => hours
+        const minHoursFor = typeof options.minHoursAfterStart === 'function'
+            ? options.minHoursAfterStart
+            : () => options.minHoursAfterStart ?? 2;
+        const sportKeyFor = options.sportKeyFor || (p => p.sportKey);
+        const counts = {};
+
+        for (const pred of predictions || []) {
+            if (pred.settled) continue;
+            const start = Date.parse(pred.gameTime);
+            if (Number.isFinite(start) && now - start < minHoursFor(pred) * 3600000) continue;
+            const key = sportKeyFor(pred);
+            if (key) counts[key] = (counts[key] || 0) + 1;
+        }
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * 3 = games inside the window, 2 = unknown/stale, 1 = games later on, 0 = off-season
+     */
+    _sportPriority(sportKey, windowHours) {
+        const info = this.state.sports[sportKey];
+        const now = this.now();
+        if (!info) return { score: 2, reason: 'not checked yet' };
+
+        const age = now - info.checkedAt;
+        if (info.events === 0) {
+            return age < this.emptyRecheckDays * 86400000
+                ? { score: 0, reason: 'no games last check (off-season?)' }
+                : { score: 2, reason: 'recheck after empty slate' };
+        }
+        if (age > this.staleHours * 3600000) return { score: 2, reason: 'stale' };
+
+        const inWindow = info.starts.some(t => t >= now && t - now <= windowHours * 3600000);
+        if (inWindow) return { score: 3, reason: 'games in window' };
+        return info.starts.some(t => t > now)
+            ? { score: 1, reason: 'next games outside window' }
+            : { score: 2, reason: 'slate finished' };
+    }
+
+    _monthKey(now = this.now()) {
+        const d = new Date(now);
+        return `${d.getFullYear()}-${d.getMonth() + 1}`;
+    }
+
+    _dayKey(now = this.now()) {
+        const d = new Date(now);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    _month() {
+        const key = this._monthKey();
+        if (this.state.month !== key) {
+            this.state.month = key;
+            this.state.keys = {};
+        }
+        for (const k of this.keys) {
+            this.state.keys[k.name] = this.state.keys[k.name] || newKeyUsage(k.limit);
+        }
+        return this.state;
+    }
+
+    _day() {
+        const key = this._dayKey();
+        if (!this.state.days[key]) {
+            this.state.days[key] = { spent: 0, startRemaining: null, bySport: {} };
+            // Keep two weeks of daily history
+            const cutoff = this.now() - 14 * 86400000;
+            for (const date of Object.keys(this.state.days)) {
+                if (Date.parse(date) < cutoff) delete this.state.days[date];
+            }
+        }
+        return this.state.days[key];
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || 'null') : null;
+        } catch (error) {
+            console.warn('API budget: could not read saved state:', error);
+        }
+        return {
+            month: null,
+            keys: {},
+            days: {},
+            sports: {},
+            ...(saved || {})
+        };
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('API budget: could not save state:', error);
+        }
+    }
+}
+
+function newKeyUsage(limit) {
+    return { used: 0, remaining: null, limit: limit || 500, source: 'local', updatedAt: null };
+}
+
+function sportFromPath(path) {
+    const match = /\/sports\/([^/]+)\//.exec(path || '');
+    return match ? match[1] : null;
+}
+
+function daysLeftInMonth(now) {
+    const d = new Date(now);
+    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    return lastDay - d.getDate() + 1; // today included
+}
+
+function nextMonthStart(now) {
+    const d = new Date(now);
+    return new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiBudgetPlanner;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ApiBudgetPlanner = ApiBudgetPlanner;
+}
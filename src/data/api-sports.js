@@ -0,0 +1,303 @@
+/**
+ * API-Sports Results Module
+ * Fallback fixtures and final scores from api-sports.io, in the-odds-api /scores event shape
+ *
+ * Features:
+ * - One normalizer per API family (football, basketball, hockey, baseball, american-football)
+ * - Events carry source: 'api-sports', a grading status (final, postponed, cancelled, ...)
+ *   and the regulation score where the feed has one (soccer 90')
+ * - Results by date, so games older than the odds feed's 3-day window can still be settled
+ * - Its own daily quota per API family (free plans allow 100 requests/day each)
+ * - Optional HttpCache for responses
+ *
+ * Event identities are not shared with the odds feed: team names resolve through
+ * the team registry (source 'api-sports') and the caller matches on teams and day.
+ */
+
+// API-Sports league per Odds API sport key
+// season: 'start' = year the season starts ('2024'), 'split' = '2024-2025', 'calendar' = year of the game
+const API_SPORTS_LEAGUES = {
+    soccer_epl: { api: 'football', league: 39, season: 'start', seasonStartMonth: 7 },
+    soccer_spain_la_liga: { api: 'football', league: 140, season: 'start', seasonStartMonth: 7 },
+    soccer_usa_mls: { api: 'football', league: 253, season: 'calendar' },
+    soccer_uefa_champs_league: { api: 'football', league: 2, season: 'start', seasonStartMonth: 6 },
+    basketball_nba: { api: 'basketball', league: 12, season: 'split', seasonStartMonth: 9 },
+    basketball_wnba: { api: 'basketball', league: 13, season: 'calendar' },
+    icehockey_nhl: { api: 'hockey', league: 57, season: 'start', seasonStartMonth: 9 },
+    baseball_mlb: { api: 'baseball', league: 1, season: 'calendar' },
+    americanfootball_nfl: { api: 'american-football', league: 1, season: 'start', seasonStartMonth: 8 },
+    americanfootball_ncaaf: { api: 'american-football', league: 2, season: 'start', seasonStartMonth: 8 }
+};
+
+const API_SPORTS_HOSTS = {
+    'football': 'https://v3.football.api-sports.io',
+    'basketball': 'https://v1.basketball.api-sports.io',
+    'hockey': 'https://v1.hockey.api-sports.io',
+    'baseball': 'https://v1.baseball.api-sports.io',
+    'american-football': 'https://v1.american-football.api-sports.io'
+};
+
+// API-Sports short status codes → grading statuses (src/data/grading.js)
+const API_SPORTS_STATUS = {
+    final: ['FT', 'AET', 'PEN', 'AOT', 'AP'],
+    scheduled: ['NS', 'TBD'],
+    postponed: ['PST', 'POST'],
+    suspended: ['SUSP', 'INT', 'INTR'],
+    cancelled: ['CANC'],
+    abandoned: ['ABD'],
+    void: ['AWD', 'WO'] // awarded / walkover: the score was not played for
+};
+
+class ApiSportsResultsProvider {
+    constructor(options = {}) {
+        this.name = 'api-sports';
+        this.getApiKey = options.getApiKey || (() => '');
+        this.leagues = { ...API_SPORTS_LEAGUES, ...(options.leagues || {}) };
+        this.dailyLimit = options.dailyLimit || 100;   // per API family
+        this.maxRequests = options.maxRequests || 4;   // per getResults() call
+        this.cache = options.cache || null;            // HttpCache
+        this.fetchImpl = options.fetch || null;
+        this.storage = options.storage || null;        // localStorage-like, for usage
+        this.storageKey = options.storageKey || 'apiSportsUsage';
+        this.usage = this._loadUsage();
+    }
+
+    /**
+     * Whether a league can be looked up (known league and a key configured)
+     */
+    supports(sportKey) {
+        return !!this.leagues[sportKey] && !!this.getApiKey();
+    }
+
+    /**
+     * Requests left today for the API family that serves a league
+     */
+    remaining(sportKey) {
+        const league = this.leagues[sportKey];
+        if (!league) return 0;
+        const usage = this._todayUsage();
+        const entry = usage.apis[league.api] || { used: 0, remaining: null };
+        const left = this.dailyLimit - entry.used;
+        return entry.remaining !== null ? Math.min(left, entry.remaining) : left;
+    }
+
+    /**
+     * Final and scheduled games of a league on the days of the given start times
+     * @param {string} sportKey - Odds API sport key
+     * @param {Array<string|number|Date>} times - Game start times (one request per distinct UTC day)
+     * @param {Object} options - { cacheOnly }
+     * @returns {Promise<Array|null>} - Events in the /scores shape, or null if nothing could be fetched
+     */
+    async getResults(sportKey, times, options = {}) {
+        const league = this.leagues[sportKey];
+        if (!league || !this.getApiKey()) return null;
+
+        const days = [...new Set((times || [])
+            .map(t => new Date(t))
+            .filter(d => Number.isFinite(d.getTime()))
+            .map(d => d.toISOString().slice(0, 10)))]
+            .sort()
+            .slice(-this.maxRequests);
+
+        let events = null;
+        for (const day of days) {
+            const list = await this._getDay(sportKey, league, day, options);
+            if (list) events = (events || []).concat(list);
+        }
+        return events;
+    }
+
+    getUsage() {
+        return this._todayUsage();
+    }
+
+    // ============ Helper Functions ============
+
+    async _getDay(sportKey, league, day, options) {
+        const path = `${API_SPORTS_HOSTS[league.api]}/${league.api === 'football' ? 'fixtures' : 'games'}`;
+        const params = { league: league.league, season: apiSportsSeason(league, day), date: day };
+        const load = async () => {
+            if (this.remaining(sportKey) <= 0) {
+                console.warn(`API-Sports: daily limit reached for ${league.api}`);
+                return null;
+            }
+            return this._fetchJson(league.api, path, params);
+        };
+
+        let data;
+        if (this.cache) {
+            data = await this.cache.fetch({ path, params }, load, {
+                endpoint: 'scores',
+                cacheOnly: options.cacheOnly,
+                allowStale: false
+            });
+        } else {
+            data = options.cacheOnly ? null : await load();
+        }
+        if (!data || !Array.isArray(data.response)) return null;
+
+        return data.response
+            .map(item => normalizeApiSportsGame(league.api, item, sportKey))
+            .filter(Boolean);
+    }
+
+    async _fetchJson(api, path, params) {
+        const fetchFn = this.fetchImpl || fetch;
+        const query = new URLSearchParams(params).toString();
+        let response;
+        try {
+            response = await fetchFn(`${path}?${query}`, { headers: { 'x-apisports-key': this.getApiKey() } });
+        } catch (error) {
+            console.warn(`API-Sports: ${api} request failed`, error);
+            return null;
+        }
+        this._recordCall(api, response);
+
+        if (!response.ok) {
+            console.warn(`API-Sports: ${path} failed`, response.status, response.statusText);
+            return null;
+        }
+        const data = await response.json();
+        // API-Sports answers 200 with an errors object for bad keys, exhausted plans etc.
+        const errors = data && data.errors && (Array.isArray(data.errors) ? data.errors : Object.values(data.errors));
+        if (errors && errors.length > 0) {
+            console.warn(`API-Sports: ${api} error`, errors.join('; '));
+            return null;
+        }
+        return data;
+    }
+
+    _recordCall(api, response) {
+        const usage = this._todayUsage();
+        const entry = usage.apis[api] = usage.apis[api] || { used: 0, remaining: null };
+        entry.used++;
+        const header = response && response.headers && response.headers.get
+            ? response.headers.get('x-ratelimit-requests-remaining')
+            : null;
+        const remaining = parseInt(header, 10);
+        if (Number.isFinite(remaining)) entry.remaining = remaining;
+        this._saveUsage();
+    }
+
+    _todayUsage() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (this.usage.date !== today) this.usage = { date: today, apis: {} };
+        return this.usage;
+    }
+
+    _loadUsage() {
+        try {
+            const saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || 'null') : null;
+            if (saved && saved.date && saved.apis) return saved;
+        } catch (error) {
+            console.warn('API-Sports: could not read saved usage:', error);
+        }
+        return { date: null, apis: {} };
+    }
+
+    _saveUsage() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.usage));
+        } catch (error) {
+            console.warn('API-Sports: could not save usage:', error);
+        }
+    }
+}
+
+/**
+ * Season parameter for a league on a day ('YYYY-MM-DD')
+ */
+function apiSportsSeason(league, day) {
+    const year = Number(day.slice(0, 4));
+    const month = Number(day.slice(5, 7));
+    if (league.season === 'calendar') return String(year);
+    const start = month >= (league.seasonStartMonth || 1) ? year : year - 1;
+    return league.season === 'split' ? `${start}-${start + 1}` : String(start);
+}
+
+/**
+ * One API-Sports game/fixture as a /scores event; null when it can't be read
+ */
+function normalizeApiSportsGame(api, item, sportKey) {
+    if (!item) return null;
+    let id;
+    let start;
+    let statusCode;
+    let home;
+    let away;
+    let regulation = null;
+
+    if (api === 'football') {
+        id = item.fixture && item.fixture.id;
+        start = item.fixture && item.fixture.date;
+        statusCode = item.fixture && item.fixture.status && item.fixture.status.short;
+        home = item.goals && item.goals.home;
+        away = item.goals && item.goals.away;
+        // fulltime is the 90' score; goals include extra time
+        const fulltime = item.score && item.score.fulltime;
+        if (fulltime && fulltime.home !== null && fulltime.home !== undefined) {
+            regulation = { home: fulltime.home, away: fulltime.away };
+        }
+    } else if (api === 'american-football') {
+        const game = item.game || {};
+        id = game.id;
+        start = game.date && game.date.timestamp ? game.date.timestamp * 1000 : (game.date && `${game.date.date}T${game.date.time || '00:00'}:00Z`);
+        statusCode = game.status && game.status.short;
+        home = item.scores && item.scores.home && item.scores.home.total;
+        away = item.scores && item.scores.away && item.scores.away.total;
+    } else {
+        id = item.id;
+        start = item.date;
+        statusCode = item.status && item.status.short;
+        // Hockey reports plain numbers, basketball and baseball { total, ... }
+        const score = side => {
+            const value = item.scores && item.scores[side];
+            return value !== null && typeof value === 'object' ? value.total : value;
+        };
+        home = score('home');
+        away = score('away');
+    }
+
+    const homeTeam = item.teams && item.teams.home && item.teams.home.name;
+    const awayTeam = item.teams && item.teams.away && item.teams.away.name;
+    const commence = new Date(start);
+    if (!id || !homeTeam || !awayTeam || !Number.isFinite(commence.getTime())) return null;
+
+    const status = apiSportsStatus(statusCode);
+    const hasScore = home !== null && home !== undefined && away !== null && away !== undefined;
+    return {
+        id: `api-sports:${api}:${id}`,
+        source: 'api-sports',
+        sport_key: sportKey,
+        commence_time: commence.toISOString(),
+        home_team: homeTeam,
+        away_team: awayTeam,
+        status: status,
+        completed: status === 'final',
+        scores: hasScore ? [
+            { name: homeTeam, score: String(home) },
+            { name: awayTeam, score: String(away) }
+        ] : null,
+        regulation: regulation,
+        last_update: null
+    };
+}
+
+function apiSportsStatus(code) {
+    const short = String(code || '').toUpperCase();
+    for (const [status, codes] of Object.entries(API_SPORTS_STATUS)) {
+        if (codes.includes(short)) return status;
+    }
+    return 'in_progress';
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiSportsResultsProvider, normalizeApiSportsGame, API_SPORTS_LEAGUES };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ApiSportsResultsProvider = ApiSportsResultsProvider;
+}
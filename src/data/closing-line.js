@@ -0,0 +1,384 @@
+/**
+ * Closing Line Module
+ * Captures the closing market for open predictions and computes CLV
+ *
+ * Features:
+ * - Snapshots the market shortly before commence_time (one odds request per sport)
+ * - Falls back to the last pre-game prices in line history when the window was missed
+ * - CLV against the taken price and against the no-vig closing probability
+ * - Spreads and totals close at the taken number when books still deal it; when the line moved
+ *   off it, the closing probabilities are shifted by the points gained or given up
+ * - Summaries by sport, bet type and confidence tier
+ *
+ * CLV values are fractions: 0.04 = taken price was 4% better than the close.
+ *   price CLV = takenDecimal / closingDecimal - 1
+ *   fair CLV  = takenDecimal * noVigClosingProb - 1  (expected return at the close)
+ */
+
+// Win probability one point is worth near the main line, per sport family and market (rough
+// values from typical score spreads; used only when the close moved off the taken number)
+const CLV_POINT_VALUES = {
+    americanfootball: { spreads: 0.03, totals: 0.03 },
+    basketball: { spreads: 0.03, totals: 0.02 },
+    baseball: { spreads: 0.08, totals: 0.08 },
+    icehockey: { spreads: 0.12, totals: 0.15 },
+    soccer: { spreads: 0.2, totals: 0.2 },
+    default: { spreads: 0.03, totals: 0.03 }
+};
+
+class ClosingLineTracker {
+    constructor(options = {}) {
+        this.provider = options.provider || null;         // OddsProvider
+        this.historyStore = options.historyStore || null; // LineHistoryStore
+        this.captureWindowMinutes = options.captureWindowMinutes || 15;
+        this.historySize = options.historySize || 50;
+        this.canFetch = options.canFetch || (() => true); // quota gate, called once per sport
+    }
+
+    /**
+     * Predictions whose game starts inside the capture window and have no close yet
+     */
+    getDue(predictions, now = Date.now()) {
+        const windowMs = this.captureWindowMinutes * 60000;
+        return (predictions || []).filter(p => {
+            if (p.settled || p.closingLine || !p.gameId) return false;
+            const start = Date.parse(p.gameTime);
+            return Number.isFinite(start) && start > now && start - now <= windowMs;
+        });
+    }
+
+    /**
+     * Capture closing lines for every due prediction
+     * @returns {Promise<Array>} - Predictions that received a closing line
+     */
+    async capture(predictions, now = Date.now()) {
+        const due = this.getDue(predictions, now);
+        if (due.length === 0) return [];
+
+        const bySport = {};
+        for (const pred of due) {
+            const sportKey = this._sportKeyFor(pred);
+            (bySport[sportKey] = bySport[sportKey] || []).push(pred);
+        }
+
+        const captured = [];
+        for (const [sportKey, preds] of Object.entries(bySport)) {
+            let events = null;
+            if (this.provider && sportKey !== 'unknown' && this.canFetch(sportKey)) {
+                try {
+                    // A stale cached copy could be older than the capture window: require a fresh one
+                    events = await this.provider.getOdds(sportKey, { allowStale: false });
+                } catch (error) {
+                    console.warn(`Closing line fetch failed for ${sportKey}:`, error);
+                }
+            }
+
+            for (const pred of preds) {
+                const event = Array.isArray(events) ? events.find(e => e.id === pred.gameId) : null;
+                const line = event
+                    ? this.closingFromEvent(pred, event, now)
+                    : this.closingFromHistory(pred, now);
+                if (line) {
+                    ClosingLineTracker.applyClosingLine(pred, line);
+                    captured.push(pred);
+                }
+            }
+        }
+
+        return captured;
+    }
+
+    /**
+     * Fill closing lines for games that already started, from the last pre-game prices on record
+     * @returns {Array} - Predictions that received a closing line
+     */
+    backfill(predictions, now = Date.now()) {
+        const filled = [];
+        for (const pred of predictions || []) {
+            if (pred.closingLine || !pred.gameId) continue;
+            const start = Date.parse(pred.gameTime);
+            if (!Number.isFinite(start) || start > now) continue;
+
+            const line = this.closingFromHistory(pred, start);
+            if (line) {
+                ClosingLineTracker.applyClosingLine(pred, line);
+                filled.push(pred);
+            }
+        }
+        return filled;
+    }
+
+    /**
+     * Closing line from a live odds event
+     */
+    closingFromEvent(pred, event, capturedAt = Date.now()) {
+        const { market, outcome } = ClosingLineTracker.selectionFor(pred);
+        const quotes = [];
+
+        for (const bookmaker of event.bookmakers || []) {
+            const m = (bookmaker.markets || []).find(mk => mk.key === market);
+            const mine = m && (m.outcomes || []).find(o => o.name === outcome);
+            if (!mine) continue;
+            quotes.push({
+                bookmaker: bookmaker.key || bookmaker.title,
+                odds: mine.price,
+                point: mine.point ?? null,
+                allOdds: m.outcomes.map(o => o.price)
+            });
+        }
+
+        return this._closingFromQuotes(this._atTakenPoint(pred, quotes), { capturedAt, source: 'live' });
+    }
+
+    /**
+     * Closing line rebuilt from line history at a given time
+     */
+    closingFromHistory(pred, atTime) {
+        if (!this.historyStore) return null;
+        const { market, outcome } = ClosingLineTracker.selectionFor(pred);
+        const outcomes = this.historyStore.getOutcomes(pred.gameId, market);
+        const quotes = [];
+
+        for (const bookmaker of this.historyStore.getBooks(pred.gameId, market, outcome)) {
+            // The book's line at that time; the other side is priced at the matching point
+            const mine = this.historyStore.getPriceAt(pred.gameId, bookmaker, market, outcome, atTime);
+            if (!mine) continue;
+            const pairPoint = mine.point === null ? null : (market === 'spreads' ? -mine.point : mine.point);
+            const allOdds = outcomes
+                .map(name => name === outcome ? mine
+                    : this.historyStore.getPriceAt(pred.gameId, bookmaker, market, name, atTime, pairPoint))
+                .filter(Boolean)
+                .map(p => p.odds);
+            quotes.push({ bookmaker, odds: mine.odds, point: mine.point, allOdds });
+        }
+
+        return this._closingFromQuotes(this._atTakenPoint(pred, quotes), { capturedAt: atTime, source: 'history' });
+    }
+
+    // ============ Static Helpers ============
+
+    /**
+     * Market key and outcome name a prediction was placed on
+     */
+    static selectionFor(pred) {
+        const type = String(pred.type || 'Moneyline').toLowerCase();
+        if (type.includes('spread')) {
+            return { market: 'spreads', outcome: pred.team };
+        }
+        if (type.includes('total')) {
+            const side = pred.side || (/under/i.test(pred.betDetails || '') ? 'Under' : 'Over');
+            return { market: 'totals', outcome: side };
+        }
+        return { market: 'h2h', outcome: pred.team };
+    }
+
+    /**
+     * CLV of a taken price against a closing line
+     * @param {number} probShift - Win probability the taken number is worth over the closing one
+     *                             (see pointShift; 0 when the line closed at the taken number)
+     * @returns {Object|null} - { price, fair } as fractions
+     */
+    static computeCLV(takenOdds, closingLine, probShift = 0) {
+        if (!takenOdds || !closingLine || !closingLine.odds) return null;
+        const taken = americanToDecimal(takenOdds);
+        const shifted = prob => Math.min(0.99, Math.max(0.01, prob + probShift));
+
+        return {
+            price: taken * shifted(1 / americanToDecimal(closingLine.odds)) - 1,
+            fair: closingLine.fairProb ? taken * shifted(closingLine.fairProb) - 1 : null
+        };
+    }
+
+    /**
+     * Points a spread/total pick gained on the closing line (negative when it gave points up)
+     * and the win probability they are worth
+     * @returns {Object} - { points, probShift }; zeros for moneylines or a close at the taken number
+     */
+    static pointShift(pred, closingLine) {
+        const { market, outcome } = ClosingLineTracker.selectionFor(pred);
+        if (market === 'h2h' || typeof pred.point !== 'number' || !closingLine ||
+            typeof closingLine.point !== 'number') {
+            return { points: 0, probShift: 0 };
+        }
+
+        // Spreads: -3 taken against a -4 close is a point better; Over 45 against 47 is two better
+        const points = market === 'totals' && outcome === 'Over'
+            ? closingLine.point - pred.point
+            : pred.point - closingLine.point;
+        const family = String(pred.sportKey || '').split('_')[0];
+        const perPoint = (CLV_POINT_VALUES[family] || CLV_POINT_VALUES.default)[market];
+        return { points, probShift: points * perPoint };
+    }
+
+    /**
+     * Store a closing line and its CLV on a prediction
+     */
+    static applyClosingLine(pred, line) {
+        const shift = ClosingLineTracker.pointShift(pred, line);
+        pred.closingLine = line;
+        pred.closingOdds = Math.round(line.odds);
+        pred.clv = ClosingLineTracker.computeCLV(pred.odds, line, shift.probShift);
+        if (pred.clv && shift.points !== 0) pred.clv.points = shift.points;
+        return pred;
+    }
+
+    /**
+     * Summarize CLV across predictions (shape stored in advancedMetrics.clvTracking)
+     * History entries and averages are in percent to match the insights panel.
+     */
+    static summarize(predictions, historySize = 50) {
+        const tracked = (predictions || [])
+            .filter(p => p.clv && Number.isFinite(p.clv.price))
+            .sort((a, b) => (a.closingLine.capturedAt || 0) - (b.closingLine.capturedAt || 0));
+
+        const overall = newClvBucket();
+        const bySport = {};
+        const byType = {};
+        const byTier = {};
+
+        for (const pred of tracked) {
+            const tier = pred.tierName || tierForConfidence(pred.confidence);
+            for (const bucket of [
+                overall,
+                bySport[pred.sport || 'Unknown'] = bySport[pred.sport || 'Unknown'] || newClvBucket(),
+                byType[pred.type || 'Moneyline'] = byType[pred.type || 'Moneyline'] || newClvBucket(),
+                byTier[tier] = byTier[tier] || newClvBucket()
+            ]) {
+                addToClvBucket(bucket, pred.clv);
+            }
+        }
+
+        const history = tracked.slice(-historySize).map(p => ({
+            gameId: p.gameId,
+            game: p.game,
+            sport: p.sport,
+            type: p.type,
+            tier: p.tierName || tierForConfidence(p.confidence),
+            odds: p.odds,
+            closingOdds: p.closingOdds,
+            clv: p.clv.fair !== null ? p.clv.fair * 100 : p.clv.price * 100,
+            priceClv: p.clv.price * 100,
+            at: p.closingLine.capturedAt
+        }));
+
+        return {
+            history: history,
+            overall: finishClvBucket(overall),
+            bySport: mapClvBuckets(bySport, finishClvBucket),
+            byType: mapClvBuckets(byType, finishClvBucket),
+            byTier: mapClvBuckets(byTier, finishClvBucket),
+            updatedAt: Date.now()
+        };
+    }
+
+    // ============ Helper Functions ============
+
+    _sportKeyFor(pred) {
+        if (pred.sportKey) return pred.sportKey;
+        const fromHistory = this.historyStore && this.historyStore.games[pred.gameId];
+        return (fromHistory && fromHistory.sportKey) || 'unknown';
+    }
+
+    /**
+     * Quotes of a spread/total at the number the prediction took, when any book still deals it
+     * (their prices compare directly); otherwise all of them, and pointShift covers the move
+     */
+    _atTakenPoint(pred, quotes) {
+        if (typeof pred.point !== 'number') return quotes;
+        const sameLine = quotes.filter(q => q.point === pred.point);
+        return sameLine.length > 0 ? sameLine : quotes;
+    }
+
+    /**
+     * Consensus close across books; fair probability removes each book's vig
+     */
+    _closingFromQuotes(quotes, meta) {
+        if (quotes.length === 0) return null;
+
+        let probSum = 0;
+        let fairSum = 0;
+        let fairCount = 0;
+        for (const q of quotes) {
+            const prob = americanToProb(q.odds);
+            probSum += prob;
+            const total = q.allOdds.reduce((sum, o) => sum + americanToProb(o), 0);
+            if (q.allOdds.length >= 2 && total > 0) {
+                fairSum += prob / total;
+                fairCount++;
+            }
+        }
+
+        const best = quotes.reduce((a, b) => americanToDecimal(b.odds) > americanToDecimal(a.odds) ? b : a);
+        const points = quotes.map(q => q.point).filter(p => p !== null && p !== undefined);
+
+        return {
+            odds: probToAmerican(probSum / quotes.length),
+            fairProb: fairCount > 0 ? fairSum / fairCount : null,
+            bestOdds: best.odds,
+            bestBook: best.bookmaker,
+            point: points.length > 0 ? points.reduce((sum, p) => sum + p, 0) / points.length : null,
+            books: quotes.length,
+            capturedAt: meta.capturedAt,
+            source: meta.source
+        };
+    }
+}
+
+function americanToDecimal(odds) {
+    return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+}
+
+function americanToProb(odds) {
+    return odds > 0 ? 100 / (odds + 100) : Math.abs(odds) / (Math.abs(odds) + 100);
+}
+
+function probToAmerican(prob) {
+    return prob >= 0.5 ? -100 * prob / (1 - prob) : 100 * (1 - prob) / prob;
+}
+
+// Same thresholds as AdvancedBettingAI._getTierName
+function tierForConfidence(confidence) {
+    if (confidence >= 95) return 'ELITE';
+    if (confidence >= 85) return 'PREMIUM';
+    if (confidence >= 75) return 'STRONG';
+    return 'STANDARD';
+}
+
+function newClvBucket() {
+    return { bets: 0, priceSum: 0, fairSum: 0, fairBets: 0, beatClose: 0 };
+}
+
+function addToClvBucket(bucket, clv) {
+    bucket.bets++;
+    bucket.priceSum += clv.price;
+    if (clv.price > 0) bucket.beatClose++;
+    if (clv.fair !== null && Number.isFinite(clv.fair)) {
+        bucket.fairSum += clv.fair;
+        bucket.fairBets++;
+    }
+}
+
+function finishClvBucket(bucket) {
+    return {
+        bets: bucket.bets,
+        avgPriceClv: bucket.bets ? (bucket.priceSum / bucket.bets) * 100 : 0,
+        avgFairClv: bucket.fairBets ? (bucket.fairSum / bucket.fairBets) * 100 : 0,
+        beatCloseRate: bucket.bets ? bucket.beatClose / bucket.bets : 0
+    };
+}
+
+function mapClvBuckets(obj, fn) {
+    const out = {};
+    for (const [key, value] of Object.entries(obj)) out[key] = fn(value);
+    return out;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClosingLineTracker;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ClosingLineTracker = ClosingLineTracker;
+}
@@ -0,0 +1,96 @@
+/**
+ * CSV Module
+ * Header-row CSV files as plain records, and the one file loader the file-based data providers share
+ *
+ * Features:
+ * - Quoted fields with commas, escaped quotes ("") and line breaks
+ * - \n and \r\n line endings; blank lines skipped
+ * - Header names trimmed and lower-cased; values trimmed
+ */
+
+/**
+ * Parse CSV text into one object per row, keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Records ({ [header]: value })
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = String(text || '');
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(v => v.trim() !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(v => v.trim() !== '')) rows.push(row);
+
+    const header = (rows.shift() || []).map(h => h.trim().toLowerCase());
+    return rows.map(values => Object.fromEntries(header.map((h, i) => [h, (values[i] || '').trim()])));
+}
+
+/**
+ * Text of a data file: fetched (uncached) in the browser, read from disk under Node
+ */
+async function loadDataFile(path) {
+    if (typeof window === 'undefined' && typeof require === 'function') {
+        const fs = require('fs');
+        return fs.readFileSync(path, 'utf8');
+    }
+    const response = await fetch(path, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+}
+
+/**
+ * Records of one league's file: <basePath>/<sportKey>.json, falling back to <basePath>/<sportKey>.csv
+ * @param {Function} fromJson - Parsed JSON => records (or null)
+ * @param {Function} loader - path => text (default loadDataFile)
+ * @returns {Promise<Array|null>} - null when there is no file or it can't be read
+ */
+async function readLeagueFile(basePath, sportKey, fromJson, loader = loadDataFile) {
+    for (const ext of ['json', 'csv']) {
+        const path = `${basePath}/${sportKey}.${ext}`;
+        let text;
+        try {
+            text = await loader(path);
+        } catch (error) {
+            continue;
+        }
+        try {
+            return ext === 'json' ? fromJson(JSON.parse(text)) : parseCsv(text);
+        } catch (error) {
+            console.warn(`Data files: could not read ${path}`, error);
+            return null;
+        }
+    }
+    return null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseCsv, loadDataFile, readLeagueFile };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.parseCsv = parseCsv;
+    window.loadDataFile = loadDataFile;
+    window.readLeagueFile = readLeagueFile;
+}
@@ -0,0 +1,132 @@
+/**
+ * Feature Log Module
+ * Pre-game feature vectors for every analyzed event, waiting for their final scores
+ *
+ * Features:
+ * - One entry per event: the last vector computed before the start (later ones are ignored)
+ * - join() pairs finished games with a result lookup (the results store) and hands them back
+ *   as labeled examples, so the models learn from every game the odds feed listed,
+ *   not only the ones that became picks
+ * - Games no result turns up for are dropped after maxPendingDays
+ * - Persists in a localStorage-like storage; vectors are rounded to keep entries small
+ */
+
+class FeatureLog {
+    constructor(options = {}) {
+        this.storage = options.storage || null;          // localStorage-like
+        this.storageKey = options.storageKey || 'featureLog';
+        this.maxPendingDays = options.maxPendingDays || 7;
+        this.now = options.now || (() => Date.now());
+        this.entries = this._load();                     // event id -> entry
+    }
+
+    /**
+     * Log an event's feature vector (only before the game starts)
+     * @param {Object} game - Odds API event
+     * @param {Array<number>} features - FeatureExtractor output, home side
+     * @returns {boolean} - Whether the vector was logged
+     */
+    record(game, features) {
+        const start = Date.parse(game.commence_time);
+        if (!game.id || !game.sport_key || !Number.isFinite(start) || this.now() >= start) return false;
+        if (!Array.isArray(features) || features.length === 0) return false;
+
+        this.entries[game.id] = {
+            id: game.id,
+            sportKey: game.sport_key,
+            commence_time: game.commence_time,
+            home: game.home_team,
+            away: game.away_team,
+            features: features.map(v => Math.round(v * 10000) / 10000),
+            loggedAt: this.now()
+        };
+        this._save();
+        return true;
+    }
+
+    /**
+     * Entries still waiting for a result, oldest first
+     */
+    pending() {
+        return Object.values(this.entries)
+            .sort((a, b) => Date.parse(a.commence_time) - Date.parse(b.commence_time));
+    }
+
+    /**
+     * Pair started games with their results; matched and expired entries leave the log
+     * @param {Function} lookup - (entry) => { homeScore, awayScore } or null
+     * @returns {Object} - { labeled: [entry + { homeScore, awayScore }], expired }
+     */
+    join(lookup) {
+        const now = this.now();
+        const labeled = [];
+        let expired = 0;
+        for (const entry of this.pending()) {
+            const start = Date.parse(entry.commence_time);
+            if (start > now) continue;
+
+            const result = lookup(entry);
+            if (result && Number.isFinite(result.homeScore) && Number.isFinite(result.awayScore)) {
+                labeled.push({ ...entry, homeScore: result.homeScore, awayScore: result.awayScore });
+                delete this.entries[entry.id];
+            } else if (now - start > this.maxPendingDays * 86400000) {
+                delete this.entries[entry.id];
+                expired++;
+            }
+        }
+        if (labeled.length > 0 || expired > 0) this._save();
+        return { labeled, expired };
+    }
+
+    /**
+     * Remove entries a test matches (e.g. vectors of an older feature layout)
+     * @param {Function} test - (entry) => boolean
+     * @returns {number} - Entries removed
+     */
+    drop(test) {
+        let dropped = 0;
+        for (const entry of Object.values(this.entries)) {
+            if (test(entry)) {
+                delete this.entries[entry.id];
+                dropped++;
+            }
+        }
+        if (dropped > 0) this._save();
+        return dropped;
+    }
+
+    getStats() {
+        return { pending: Object.keys(this.entries).length };
+    }
+
+    // ============ Helper Functions ============
+
+    _load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || 'null') : null;
+        } catch (error) {
+            console.warn('Feature log: could not read saved entries:', error);
+        }
+        return saved || {};
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Feature log: could not save entries:', error);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FeatureLog };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.FeatureLog = FeatureLog;
+}
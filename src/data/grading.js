@@ -0,0 +1,194 @@
+/**
+ * Grading Module
+ * One pure function that grades a prediction against a result event
+ *
+ *   gradePrediction(prediction, event, options) → { outcome, reason, ... }
+ *
+ * Outcomes:
+ * - won / lost
+ * - push: whole-number line landed exactly, or a two-way moneyline ended level
+ * - void: abandoned or cancelled game, postponed past the cutoff, or missing long after the start
+ *   from a feed that covered the game's date
+ * - pending: not gradable yet (game not final, pick not placeable); nothing should be settled
+ *
+ * Quarter lines (±0.25, ±0.75: half the stake on each neighbouring line) are not graded;
+ * they stay pending for a manual regrade, and the pick engine never offers them.
+ *
+ * Rules come from the sports registry:
+ * - overtime 'included': final score including OT, extra innings and shootouts
+ * - overtime 'excluded': regulation score (soccer 90' + stoppage); event.regulation is used when present
+ * - draws: moneylines are three-way, so a level score is a result (Draw), never a push
+ *
+ * No I/O and no globals: the caller resolves which side the pick is on (team IDs)
+ * and passes it as options.pickSide.
+ */
+
+const GRADING_VOID_STATUSES = ['abandoned', 'cancelled', 'canceled', 'void'];
+const GRADING_POSTPONED_STATUSES = ['postponed', 'suspended', 'delayed'];
+
+/**
+ * Grade one prediction
+ * @param {Object} prediction - { type, team, side, point, outcome, threeWay, gameTime }
+ * @param {Object|null} event - Result event ({ completed, status, home_team, away_team, scores,
+ *                              regulation: { home, away }, commence_time }); null when the
+ *                              feed has no such game
+ * @param {Object} options
+ *   rules                - { draws, overtime, ties } for the sport
+ *   pickSide             - 'home' | 'away' | 'draw' for moneylines and spreads
+ *   now                  - Timestamp to grade at (default Date.now())
+ *   postponedCutoffHours - Hours after the scheduled start before a postponed/missing game is void (default 48)
+ *   resultsCovered       - The caller looked the game's date up and the feed answered for it (every
+ *                          team name on it resolved), so a missing event means no game was played.
+ *                          Without it a missing event stays pending: the feed may just not reach
+ *                          that date or spell the teams another way.
+ * @returns {Object} - { outcome, reason, basis, score: { home, away }, result }
+ */
+function gradePrediction(prediction, event, options = {}) {
+    const rules = options.rules || {};
+    const now = options.now ?? Date.now();
+    const cutoffHours = options.postponedCutoffHours ?? 48;
+    const scheduled = Date.parse(prediction.gameTime);
+    const hoursSinceStart = Number.isFinite(scheduled) ? (now - scheduled) / 3600000 : null;
+
+    // ---- Games that will never produce a usable result ----
+    if (!event) {
+        if (options.resultsCovered && hoursSinceStart !== null && hoursSinceStart > cutoffHours) {
+            return gradingResult('void', `No result ${Math.round(hoursSinceStart)}h after the scheduled start (postponed or cancelled; cutoff ${cutoffHours}h)`);
+        }
+        return gradingResult('pending', options.resultsCovered
+            ? 'No result for this game yet'
+            : 'No feed has covered this game\'s date yet');
+    }
+
+    const status = String(event.status || '').toLowerCase();
+    if (GRADING_VOID_STATUSES.includes(status)) {
+        return gradingResult('void', `Game ${status}`);
+    }
+
+    const rescheduled = Date.parse(event.commence_time);
+    if (Number.isFinite(scheduled) && Number.isFinite(rescheduled) &&
+        (rescheduled - scheduled) / 3600000 > cutoffHours) {
+        return gradingResult('void', `Rescheduled ${Math.round((rescheduled - scheduled) / 3600000)}h after the original start (cutoff ${cutoffHours}h)`);
+    }
+
+    if (GRADING_POSTPONED_STATUSES.includes(status)) {
+        return hoursSinceStart !== null && hoursSinceStart > cutoffHours
+            ? gradingResult('void', `Game ${status} and not completed within ${cutoffHours}h`)
+            : gradingResult('pending', `Game ${status}; waiting for the ${cutoffHours}h cutoff`);
+    }
+
+    if (!event.completed) {
+        return gradingResult('pending', 'Game not final');
+    }
+
+    // ---- Score the bet settles on ----
+    const regulationOnly = rules.overtime === 'excluded';
+    const regulation = gradingScoreOf(event.regulation);
+    const final = gradingScoreOf(event);
+    const score = regulationOnly && regulation ? regulation : final;
+    if (!score) {
+        return gradingResult('pending', 'Final without a score');
+    }
+    // Say which score was used: a regulation-only sport falls back to the final score when the
+    // feed sent no regulation score
+    const basis = score === regulation
+        ? 'regulation'
+        : (regulationOnly ? 'final (no regulation score reported)' : 'final (incl. overtime)');
+    const result = score.home > score.away ? 'home' : (score.away > score.home ? 'away' : 'draw');
+    const scoreText = `${score.home}-${score.away}`;
+    const graded = (outcome, reason) => ({ ...gradingResult(outcome, reason), basis, score, result });
+
+    const type = String(prediction.type || 'Moneyline');
+    if ((type === 'Total' || type === 'Spread') && isQuarterLine(Number(prediction.point))) {
+        return gradingResult('pending', `Quarter line ${prediction.point} splits the stake across two lines; regrade by hand`);
+    }
+
+    // ---- Totals ----
+    if (type === 'Total') {
+        const point = Number(prediction.point);
+        if (!Number.isFinite(point)) return gradingResult('pending', 'Total without a line');
+        const side = prediction.side || (/under/i.test(prediction.betDetails || '') ? 'Under' : 'Over');
+        const total = score.home + score.away;
+        const margin = side === 'Under' ? point - total : total - point;
+        if (margin === 0 && Number.isInteger(point)) return graded('push', `${side} ${point}: total ${total} landed on the number (${basis})`);
+        return graded(margin > 0 ? 'won' : 'lost', `${side} ${point}: total ${total} (${scoreText}, ${basis})`);
+    }
+
+    const pickSide = options.pickSide || prediction.outcome || null;
+
+    // ---- Spreads ----
+    if (type === 'Spread') {
+        const point = Number(prediction.point);
+        if (!Number.isFinite(point)) return gradingResult('pending', 'Spread without a line');
+        if (pickSide !== 'home' && pickSide !== 'away') return gradingResult('pending', `Can't place ${prediction.team} on either side of the result`);
+        const teamScore = pickSide === 'home' ? score.home : score.away;
+        const oppScore = pickSide === 'home' ? score.away : score.home;
+        const margin = teamScore + point - oppScore;
+        const line = `${prediction.team} ${point > 0 ? '+' : ''}${point}`;
+        if (margin === 0 && Number.isInteger(point)) return graded('push', `${line}: landed on the number (${scoreText}, ${basis})`);
+        return graded(margin > 0 ? 'won' : 'lost', `${line}: ${teamScore}-${oppScore} (${basis})`);
+    }
+
+    // ---- Moneylines ----
+    if (!pickSide) return gradingResult('pending', `Can't place ${prediction.team} on either side of the result`);
+
+    if (rules.draws || prediction.threeWay) {
+        const label = { home: 'Home win', away: 'Away win', draw: 'Draw' };
+        return graded(pickSide === result ? 'won' : 'lost', `1X2 pick ${label[pickSide]}, result ${label[result]} ${scoreText} (${basis})`);
+    }
+
+    if (result === 'draw') {
+        return graded('push', `Two-way moneyline ended level ${scoreText}; stake returned`);
+    }
+    const teamScore = pickSide === 'home' ? score.home : score.away;
+    const oppScore = pickSide === 'home' ? score.away : score.home;
+    const verdict = pickSide === result ? 'won' : 'lost';
+    return graded(verdict, `${prediction.team || pickSide} ${verdict} ${teamScore}-${oppScore} (${basis})`);
+}
+
+/**
+ * Whether a spread/total point is a quarter line (x.25 or x.75)
+ */
+function isQuarterLine(point) {
+    return Number.isFinite(point) && Math.abs(point * 4) % 2 === 1;
+}
+
+// ============ Helper Functions ============
+
+function gradingResult(outcome, reason) {
+    return { outcome, reason, basis: null, score: null, result: null };
+}
+
+/**
+ * { home, away } from an event (the-odds-api scores array or plain numbers); null if incomplete
+ */
+function gradingScoreOf(source) {
+    if (!source) return null;
+    let home = source.home;
+    let away = source.away;
+    if (Array.isArray(source.scores)) {
+        const find = (teamName, label) => {
+            const entry = source.scores.find(s => s.name === teamName) || source.scores.find(s => s.name === label);
+            return entry ? entry.score : null;
+        };
+        home = find(source.home_team, 'home');
+        away = find(source.away_team, 'away');
+    } else if (source.homeScore !== undefined) {
+        home = source.homeScore;
+        away = source.awayScore;
+    }
+    home = parseFloat(home);
+    away = parseFloat(away);
+    return Number.isFinite(home) && Number.isFinite(away) ? { home, away } : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gradePrediction, isQuarterLine };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.gradePrediction = gradePrediction;
+    window.isQuarterLine = isQuarterLine;
+}
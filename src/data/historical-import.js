@@ -0,0 +1,246 @@
+/**
+ * Historical Import Module
+ * Past game results with opening and closing odds, read from CSV or JSON files
+ *
+ * Features:
+ * - Column mapping per file, with presets for a generic layout and football-data.co.uk
+ * - American or decimal odds (detected per value), ISO or day/month/year dates
+ * - Events in the /scores shape, plus the opening and closing moneylines
+ * - Chronological order and a market-data builder for the feature extractor
+ *
+ * The importer only reads and maps files. Replaying the events through the
+ * feature extractor and training happens in the app (AdvancedBettingAI.importHistory).
+ */
+
+// Candidate column names per field (headers are compared lower-cased)
+const HISTORICAL_COLUMN_PRESETS = {
+    generic: {
+        date: ['commence_time', 'date', 'game_date', 'start_time'],
+        time: ['time'],
+        sport: ['sport_key', 'sport'],
+        home_team: ['home_team', 'home', 'hometeam'],
+        away_team: ['away_team', 'away', 'awayteam'],
+        home_score: ['home_score', 'home_points', 'home_goals'],
+        away_score: ['away_score', 'away_points', 'away_goals'],
+        home_open: ['home_open', 'home_odds_open', 'open_home', 'home_ml_open'],
+        away_open: ['away_open', 'away_odds_open', 'open_away', 'away_ml_open'],
+        draw_open: ['draw_open', 'draw_odds_open', 'open_draw'],
+        home_close: ['home_close', 'home_odds_close', 'close_home', 'home_ml_close', 'home_odds', 'home_ml'],
+        away_close: ['away_close', 'away_odds_close', 'close_away', 'away_ml_close', 'away_odds', 'away_ml'],
+        draw_close: ['draw_close', 'draw_odds_close', 'close_draw', 'draw_odds']
+    },
+    // football-data.co.uk season files: Pinnacle, then Bet365, then market average
+    'football-data': {
+        date: ['date'],
+        time: ['time'],
+        sport: [],
+        home_team: ['hometeam', 'home'],
+        away_team: ['awayteam', 'away'],
+        home_score: ['fthg', 'hg'],
+        away_score: ['ftag', 'ag'],
+        home_open: ['psh', 'b365h', 'avgh'],
+        away_open: ['psa', 'b365a', 'avga'],
+        draw_open: ['psd', 'b365d', 'avgd'],
+        home_close: ['psch', 'b365ch', 'avgch'],
+        away_close: ['psca', 'b365ca', 'avgca'],
+        draw_close: ['pscd', 'b365cd', 'avgcd'],
+        dateOrder: 'dmy'
+    }
+};
+
+class HistoricalImporter {
+    /**
+     * @param {Object} options
+     *   sportKey   - League for rows without a sport column
+     *   preset     - 'generic' | 'football-data' (default: detected from the header)
+     *   mapping    - { field: 'Column name' | ['candidates'] } overrides on top of the preset
+     *   oddsFormat - 'auto' (default) | 'american' | 'decimal'
+     *   dateOrder  - 'dmy' | 'mdy' for slash dates (default from the preset, else 'mdy')
+     */
+    constructor(options = {}) {
+        this.sportKey = options.sportKey || null;
+        this.preset = options.preset || null;
+        this.mapping = options.mapping || {};
+        this.oddsFormat = options.oddsFormat || 'auto';
+        this.dateOrder = options.dateOrder || null;
+    }
+
+    /**
+     * Records from file text (JSON list, { games: [...] } or CSV with a header row)
+     */
+    parse(text) {
+        const trimmed = String(text || '').trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            const list = Array.isArray(data) ? data : (data.games || data.events || []);
+            // Same lower-cased keys as CSV headers
+            return list.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k.trim().toLowerCase(), v])));
+        }
+        return (typeof parseCsv !== 'undefined' ? parseCsv : require('./csv').parseCsv)(trimmed);
+    }
+
+    /**
+     * Map records to completed events, oldest first
+     * @returns {Object} - { events, skipped: [{ row, reason }], preset }
+     */
+    toEvents(records) {
+        const columns = Object.keys(records[0] || {});
+        const preset = this.preset || (columns.includes('fthg') && columns.includes('hometeam') ? 'football-data' : 'generic');
+        const base = HISTORICAL_COLUMN_PRESETS[preset] || HISTORICAL_COLUMN_PRESETS.generic;
+        const fields = {};
+        for (const field of Object.keys(HISTORICAL_COLUMN_PRESETS.generic)) {
+            const override = this.mapping[field];
+            const candidates = override ? [].concat(override).map(c => String(c).toLowerCase()) : base[field];
+            fields[field] = candidates.find(c => columns.includes(c)) || null;
+        }
+        const dateOrder = this.dateOrder || base.dateOrder || 'mdy';
+
+        const events = [];
+        const skipped = [];
+        records.forEach((record, index) => {
+            const value = field => fields[field] ? record[fields[field]] : undefined;
+            const sportKey = value('sport') || this.sportKey;
+            const home = String(value('home_team') || '').trim();
+            const away = String(value('away_team') || '').trim();
+            const homeScore = parseFloat(value('home_score'));
+            const awayScore = parseFloat(value('away_score'));
+            const start = historicalDate(value('date'), value('time'), dateOrder);
+
+            let reason = null;
+            if (!sportKey) reason = 'no sport';
+            else if (!home || !away) reason = 'missing teams';
+            else if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore)) reason = 'missing score';
+            else if (start === null) reason = `unreadable date "${value('date')}"`;
+            if (reason) {
+                skipped.push({ row: index + 2, reason });
+                return;
+            }
+
+            const odds = prefix => {
+                const line = {
+                    home: historicalAmerican(value(`home_${prefix}`), this.oddsFormat),
+                    away: historicalAmerican(value(`away_${prefix}`), this.oddsFormat),
+                    draw: historicalAmerican(value(`draw_${prefix}`), this.oddsFormat)
+                };
+                return line.home !== null && line.away !== null ? line : null;
+            };
+            const closing = odds('close');
+            const opening = odds('open') || closing;
+
+            const commence = new Date(start).toISOString();
+            events.push({
+                id: `import:${sportKey}:${commence.slice(0, 10)}:${historicalSlug(home)}:${historicalSlug(away)}`,
+                source: 'import',
+                sport_key: sportKey,
+                commence_time: commence,
+                home_team: home,
+                away_team: away,
+                completed: true,
+                status: 'final',
+                scores: [
+                    { name: home, score: String(homeScore) },
+                    { name: away, score: String(awayScore) }
+                ],
+                opening: opening,
+                closing: closing || opening,
+                threeWay: !!((closing && closing.draw !== null) || String(sportKey).startsWith('soccer_'))
+            });
+        });
+
+        events.sort((a, b) => Date.parse(a.commence_time) - Date.parse(b.commence_time));
+        return { events, skipped, preset };
+    }
+}
+
+/**
+ * FeatureExtractor market inputs for an imported game (home side, like live games)
+ * The closing line stands in for the price at pick time. closingOdds stays unset, as it is for
+ * live games when they are analyzed, so rows never see a close the models could not know.
+ */
+function historicalMarketData(event) {
+    const data = {
+        oddsValue: 0,
+        sharpMoney: false,
+        steamMove: false,
+        reverseLine: false,
+        publicBettingPct: 50,
+        marketEfficiency: 0.9,
+        bookmakerEdge: 0.05,
+        oddsConsensus: 0.5,
+        oddsVolatility: 0,
+        marketLiquidity: 0.5,
+        arbitrage: false
+    };
+    const open = event.opening;
+    const close = event.closing;
+    if (!close) return data;
+
+    const fair = line => {
+        const implied = [line.home, line.away, line.draw].filter(o => o !== null).map(historicalImplied);
+        const total = implied.reduce((s, p) => s + p, 0);
+        return { home: historicalImplied(line.home) / total, overround: total - 1 };
+    };
+    const closeFair = fair(close);
+    data.openingOdds = open ? open.home : close.home;
+    data.currentOdds = close.home;
+    data.oddsConsensus = closeFair.home;
+    data.bookmakerEdge = Math.max(0, closeFair.overround);
+    if (open) data.oddsVolatility = Math.min(1, Math.abs(closeFair.home - fair(open).home));
+    return data;
+}
+
+// ============ Helper Functions ============
+
+/**
+ * American odds from an American or decimal price; null when unreadable
+ */
+function historicalAmerican(value, format = 'auto') {
+    const n = parseFloat(String(value ?? '').replace(/^\+/, ''));
+    if (!Number.isFinite(n) || n === 0) return null;
+    const decimal = format === 'decimal' || (format === 'auto' && n > 1 && n < 100);
+    if (!decimal) return Math.round(n);
+    if (n <= 1) return null;
+    return n >= 2 ? Math.round((n - 1) * 100) : Math.round(-100 / (n - 1));
+}
+
+function historicalImplied(american) {
+    return american > 0 ? 100 / (american + 100) : -american / (-american + 100);
+}
+
+/**
+ * Timestamp from ISO dates, epoch seconds/ms or slash dates (dd/mm/yy with 'dmy'); null when unreadable
+ */
+function historicalDate(date, time, order) {
+    if (date === undefined || date === null || date === '') return null;
+    if (typeof date === 'number') return date < 1e12 ? date * 1000 : date;
+    const text = String(date).trim();
+    const slash = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})$/);
+    let iso = text;
+    if (slash) {
+        const [, a, b, y] = slash;
+        const year = y.length === 2 ? `20${y}` : y;
+        const [day, month] = order === 'dmy' ? [a, b] : [b, a];
+        iso = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+        const clock = /^\d{1,2}:\d{2}$/.test(String(time || '').trim()) ? String(time).trim().padStart(5, '0') : '12:00';
+        iso = `${iso}T${clock}:00Z`;
+    }
+    const parsed = Date.parse(iso);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function historicalSlug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoricalImporter, historicalMarketData, HISTORICAL_COLUMN_PRESETS };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.HistoricalImporter = HistoricalImporter;
+    window.historicalMarketData = historicalMarketData;
+}
@@ -0,0 +1,313 @@
+/**
+ * HTTP Cache Module
+ * Persistent response cache for API requests (IndexedDB)
+ *
+ * Features:
+ * - Keys are normalized requests (path + sorted params); API keys never reach a cache key
+ * - Per-endpoint freshness: ttl (fresh), swr (serve stale while revalidating), keep (cache-only reads)
+ * - Stale-while-revalidate: a slightly old response is returned at once and refreshed in the background
+ * - In-flight de-duplication: concurrent requests for the same key share one network call
+ * - Survives reloads, so cache-only paths have something to read after a restart
+ *
+ * Falls back to memory-only when IndexedDB is unavailable (Node, private mode).
+ */
+
+const HTTP_CACHE_POLICIES = {
+    odds: { ttlMinutes: 5, swrMinutes: 55, keepMinutes: 24 * 60 },
+    scores: { ttlMinutes: 30, swrMinutes: 30, keepMinutes: 24 * 60 },
+    default: { ttlMinutes: 10, swrMinutes: 20, keepMinutes: 12 * 60 }
+};
+
+// Params that must never be part of a cache key
+const HTTP_CACHE_SECRET_PARAMS = ['apikey', 'api_key', 'key', 'token', 'access_token'];
+
+class HttpCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'newbets-http-cache';
+        this.storeName = 'responses';
+        this.policies = { ...HTTP_CACHE_POLICIES };
+        for (const [endpoint, policy] of Object.entries(options.policies || {})) {
+            this.policies[endpoint] = { ...(HTTP_CACHE_POLICIES[endpoint] || HTTP_CACHE_POLICIES.default), ...policy };
+        }
+        this.canRevalidate = options.canRevalidate || (() => true); // (request) => false to skip background refresh
+        this.idb = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+        this.entries = {};        // key -> entry
+        this.inflight = new Map(); // key -> Promise
+        this.stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, deduped: 0 };
+        this.db = null;
+        this._opening = null;
+    }
+
+    /**
+     * Open the database and load saved responses into memory
+     * Safe to call more than once; resolves to false when running memory-only
+     */
+    open() {
+        if (this._opening) return this._opening;
+
+        this._opening = (async () => {
+            if (!this.idb) return false;
+            try {
+                this.db = await this._openDatabase();
+                for (const entry of await this._readAll()) {
+                    this.entries[entry.key] = entry;
+                }
+                await this.prune();
+                return true;
+            } catch (error) {
+                console.warn('HTTP cache: IndexedDB unavailable, using memory only', error);
+                this.db = null;
+                return false;
+            }
+        })();
+
+        return this._opening;
+    }
+
+    /**
+     * Normalized cache key for a request
+     * @param {Object|string} request - { path, params } or an already-built key
+     */
+    static keyFor(request) {
+        if (typeof request === 'string') return request;
+        const params = Object.entries(request.params || {})
+            .filter(([name, value]) => value !== undefined && value !== null && value !== '')
+            .filter(([name]) => !HTTP_CACHE_SECRET_PARAMS.includes(name.toLowerCase()))
+            .map(([name, value]) => {
+                // 'totals,h2h' and 'h2h,totals' are the same request
+                const normalized = String(value).split(',').map(v => v.trim()).filter(Boolean).sort().join(',');
+                return `${name}=${normalized}`;
+            })
+            .sort();
+        return params.length > 0 ? `${request.path}?${params.join('&')}` : request.path;
+    }
+
+    /**
+     * Cached response with its freshness
+     * @returns {Object|null} - { value, state: 'fresh'|'stale'|'expired', age } (null when missing)
+     */
+    peek(request) {
+        const entry = this.entries[HttpCache.keyFor(request)];
+        if (!entry) return null;
+
+        const now = Date.now();
+        if (now > entry.keepUntil) return null;
+        const state = now <= entry.freshUntil ? 'fresh' : (now <= entry.staleUntil ? 'stale' : 'expired');
+        return { value: entry.value, state, age: now - entry.storedAt };
+    }
+
+    /**
+     * Store a response
+     */
+    set(request, value, endpoint = 'default') {
+        const key = HttpCache.keyFor(request);
+        const policy = this.policies[endpoint] || this.policies.default;
+        const now = Date.now();
+        const entry = {
+            key,
+            endpoint,
+            value,
+            storedAt: now,
+            freshUntil: now + policy.ttlMinutes * 60000,
+            staleUntil: now + (policy.ttlMinutes + policy.swrMinutes) * 60000,
+            keepUntil: now + Math.max(policy.keepMinutes, policy.ttlMinutes + policy.swrMinutes) * 60000,
+            size: estimateHttpCacheSize(value)
+        };
+        this.entries[key] = entry;
+        this._persist(entry);
+        return entry;
+    }
+
+    /**
+     * Cached-or-loaded response
+     * @param {Object|string} request - { path, params } (the key is normalized from it)
+     * @param {Function} loader - async () => value, or null when the request failed
+     * @param {Object} options
+     *   endpoint   - policy name ('odds', 'scores')
+     *   cacheOnly  - never touch the network; any copy within keepMinutes is returned
+     *   allowStale - false to treat stale copies as missing (default true)
+     * @returns {Promise<*>} - Response value or null
+     */
+    async fetch(request, loader, options = {}) {
+        await this.open();
+        const key = HttpCache.keyFor(request);
+        const endpoint = options.endpoint || 'default';
+        const cached = this.peek(key);
+        const allowStale = options.allowStale !== false;
+
+        if (cached && cached.state === 'fresh') {
+            this.stats.hits++;
+            return cached.value;
+        }
+        if (options.cacheOnly) {
+            if (cached && allowStale) {
+                this.stats.staleHits++;
+                return cached.value;
+            }
+            this.stats.misses++;
+            return null;
+        }
+        if (cached && cached.state === 'stale' && allowStale) {
+            // Serve now, refresh in the background (once, and only if the budget allows)
+            this.stats.staleHits++;
+            if (!this.inflight.has(key) && this.canRevalidate(request)) {
+                this.stats.revalidations++;
+                this._load(key, loader, endpoint).catch(error => {
+                    console.warn(`HTTP cache: revalidating ${key} failed`, error);
+                });
+            }
+            return cached.value;
+        }
+
+        this.stats.misses++;
+        return this._load(key, loader, endpoint);
+    }
+
+    /**
+     * Remove one response
+     */
+    async delete(request) {
+        const key = HttpCache.keyFor(request);
+        delete this.entries[key];
+        if (!this.db) return;
+        await this._transaction('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Drop responses past their keep window
+     */
+    async prune(now = Date.now()) {
+        const expired = Object.values(this.entries).filter(e => now > e.keepUntil).map(e => e.key);
+        for (const key of expired) delete this.entries[key];
+        if (!this.db || expired.length === 0) return expired.length;
+        await this._transaction('readwrite', store => {
+            for (const key of expired) store.delete(key);
+        });
+        return expired.length;
+    }
+
+    async clear() {
+        this.entries = {};
+        if (!this.db) return;
+        await this._transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Entries for the inspector, newest first
+     */
+    list() {
+        const now = Date.now();
+        return Object.values(this.entries)
+            .map(e => ({
+                key: e.key,
+                endpoint: e.endpoint,
+                storedAt: e.storedAt,
+                age: now - e.storedAt,
+                state: now <= e.freshUntil ? 'fresh' : (now <= e.staleUntil ? 'stale' : 'expired'),
+                freshUntil: e.freshUntil,
+                keepUntil: e.keepUntil,
+                size: e.size,
+                items: Array.isArray(e.value) ? e.value.length : null
+            }))
+            .sort((a, b) => b.storedAt - a.storedAt);
+    }
+
+    /**
+     * Summary for storage/debug displays
+     */
+    getStats() {
+        const list = this.list();
+        return {
+            ...this.stats,
+            entries: list.length,
+            fresh: list.filter(e => e.state === 'fresh').length,
+            stale: list.filter(e => e.state === 'stale').length,
+            expired: list.filter(e => e.state === 'expired').length,
+            bytes: list.reduce((sum, e) => sum + e.size, 0),
+            inflight: this.inflight.size,
+            persistent: !!this.db
+        };
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * Network load shared by every caller asking for the same key at the same time
+     */
+    _load(key, loader, endpoint) {
+        if (this.inflight.has(key)) {
+            this.stats.deduped++;
+            return this.inflight.get(key);
+        }
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                if (value !== null && value !== undefined) this.set(key, value, endpoint);
+                return value ?? null;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    _persist(entry) {
+        if (!this.db) return;
+        this._transaction('readwrite', store => store.put(entry))
+            .catch(error => console.warn('HTTP cache: failed to persist response', error));
+    }
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = this.idb.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _readAll() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+function estimateHttpCacheSize(value) {
+    try {
+        return JSON.stringify(value).length;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HttpCache;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.HttpCache = HttpCache;
+}
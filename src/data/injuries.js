@@ -0,0 +1,348 @@
+/**
+ * Injuries Module
+ * Injury and lineup reports per team, turned into a weighted team impact
+ *
+ * Providers:
+ * - InjuryProvider: interface ({ team, player, position, status, importance, detail, updated } records)
+ * - FileInjuryProvider: JSON or CSV files dropped into a folder, one per league
+ *
+ * Features:
+ * - Player status normalized across feeds (Out, IR, IL, Doubtful, Questionable, Day-To-Day, ...)
+ * - Team burden 0..1: sum of position weight (or the record's importance) × chance the player sits
+ * - Game impact -1..1: home burden minus away burden (the injury_impact feature)
+ * - Report signatures, so picks made before the injury picture changed can be flagged
+ * - Records older than maxRecordAgeHours (by their `updated` time) are ignored; undated records too,
+ *   since a report nobody dated can't be told apart from last season's
+ *
+ * Team names go through the team registry as source 'injuries': names the registry
+ * doesn't know go to its review queue instead of being guessed.
+ */
+
+// Chance a player with this status misses the game
+const INJURY_STATUS_MISS = {
+    out: 1,
+    doubtful: 0.75,
+    questionable: 0.4,
+    'day-to-day': 0.3,
+    probable: 0.1,
+    active: 0
+};
+
+const INJURY_STATUS_ALIASES = {
+    out: ['out', 'o', 'inactive', 'ir', 'injured reserve', 'il', 'injured list', '10-day il', '15-day il',
+        '60-day il', 'pup', 'nfi', 'suspended', 'suspension', 'ltir', 'season-ending'],
+    doubtful: ['doubtful', 'd'],
+    questionable: ['questionable', 'q', 'game-time decision', 'gtd'],
+    'day-to-day': ['day-to-day', 'dtd', 'day to day'],
+    probable: ['probable', 'p', 'expected to play'],
+    active: ['active', 'available', 'healthy', 'cleared', 'starting', 'confirmed']
+};
+
+// How much of a team one missing player at a position is (used when a record has no importance)
+const INJURY_POSITION_WEIGHTS = {
+    football: { QB: 1, RB: 0.3, WR: 0.3, TE: 0.2, T: 0.15, G: 0.15, C: 0.15, OL: 0.15, DE: 0.15, DT: 0.15, DL: 0.15,
+        NT: 0.15, LB: 0.15, ILB: 0.15, OLB: 0.15, CB: 0.2, S: 0.15, FS: 0.15, SS: 0.15, K: 0.1, P: 0.05, default: 0.1 },
+    basketball: { PG: 0.3, SG: 0.3, G: 0.3, SF: 0.3, PF: 0.3, F: 0.3, C: 0.3, default: 0.25 },
+    hockey: { G: 0.6, C: 0.25, LW: 0.2, RW: 0.2, W: 0.2, F: 0.2, D: 0.2, default: 0.15 },
+    baseball: { SP: 0.5, RP: 0.1, CP: 0.15, C: 0.2, default: 0.15 },
+    soccer: { GK: 0.3, G: 0.3, default: 0.15 }
+};
+
+class InjuryProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * Current injury report for a league
+     * @param {string} sportKey - Odds API sport key
+     * @returns {Promise<Array|null>} - Player records, or null if unavailable
+     */
+    async getInjuries(sportKey) {
+        throw new Error(`${this.name}: getInjuries() not implemented`);
+    }
+}
+
+class FileInjuryProvider extends InjuryProvider {
+    /**
+     * Reads <basePath>/<sportKey>.json, falling back to <basePath>/<sportKey>.csv.
+     * JSON is a list of records or { updated, players: [...] }; CSV has a header row
+     * with team, player, position, status and optionally importance, detail, updated.
+     */
+    constructor(options = {}) {
+        super({ name: 'file' });
+        this.basePath = (options.basePath || './data/injuries').replace(/\/+$/, '');
+        this.loader = options.loader || undefined;   // path => text (default loadDataFile)
+    }
+
+    async getInjuries(sportKey) {
+        // src/data/csv.js: a global in the browser, required under Node
+        const read = typeof readLeagueFile !== 'undefined' ? readLeagueFile : require('./csv').readLeagueFile;
+        return read(this.basePath, sportKey, injuryRecordsFromJson, this.loader);
+    }
+}
+
+class InjuryTracker {
+    constructor(options = {}) {
+        this.provider = options.provider || null;       // InjuryProvider
+        this.resolveTeam = options.resolveTeam || null; // (sportKey, name, source) => team ID or null
+        this.storage = options.storage || null;         // localStorage-like
+        this.storageKey = options.storageKey || 'injuryReports';
+        this.maxAgeMinutes = options.maxAgeMinutes || 30;
+        this.maxRecordAgeHours = options.maxRecordAgeHours || 36;
+        this.now = options.now || (() => Date.now());
+        this.state = this._load();
+    }
+
+    /**
+     * Reload a league's report from the provider (skipped while the last one is younger than maxAgeMinutes)
+     * @returns {Promise<boolean>} - Whether a report was loaded
+     */
+    async refresh(sportKey, options = {}) {
+        if (!this.provider) return false;
+        const maxAge = (options.maxAgeMinutes ?? this.maxAgeMinutes) * 60000;
+        const last = this.state.refreshed[sportKey];
+        if (!options.force && last && this.now() - last < maxAge) return false;
+
+        let records;
+        try {
+            records = await this.provider.getInjuries(sportKey);
+        } catch (error) {
+            console.warn(`Injuries: ${sportKey} report failed`, error);
+            return false;
+        }
+        this.state.refreshed[sportKey] = this.now();
+        if (!Array.isArray(records)) {
+            // No report any more: an old one must not keep feeding the features
+            delete this.state.teams[sportKey];
+            this._save();
+            return false;
+        }
+
+        const byTeam = {};
+        for (const record of records) {
+            if (!this._isFresh(record)) continue;
+            const key = this._teamKey(sportKey, record.team, 'injuries');
+            if (!key) continue;
+            const players = byTeam[key] = byTeam[key] || { team: record.team, players: [] };
+            players.players.push(this._player(sportKey, record));
+        }
+
+        // Teams missing from a new report have nobody listed any more
+        const league = this.state.teams[sportKey] = this.state.teams[sportKey] || {};
+        for (const key of new Set([...Object.keys(league), ...Object.keys(byTeam)])) {
+            const next = byTeam[key] || { team: league[key].team, players: [] };
+            const signature = injurySignature(next.players);
+            const previous = league[key];
+            league[key] = {
+                team: next.team,
+                players: next.players,
+                burden: injuryBurden(next.players),
+                signature: signature,
+                changedAt: previous && previous.signature === signature ? previous.changedAt : this.now(),
+                refreshedAt: this.now()
+            };
+        }
+        this._save();
+        return true;
+    }
+
+    /**
+     * Current report for a team (null when the league has never been loaded)
+     */
+    teamReport(sportKey, team) {
+        const league = this.provider ? this.state.teams[sportKey] : null;
+        if (!league) return null;
+        const key = this._teamKey(sportKey, team, 'odds');
+        return (key && league[key]) || { team, players: [], burden: 0, signature: injurySignature([]), changedAt: null };
+    }
+
+    /**
+     * Injury impact for a game
+     * @returns {Object|null} - { impact (-1..1, positive = home is hurt more), home, away }
+     */
+    gameImpact(sportKey, home, away) {
+        const homeReport = this.teamReport(sportKey, home);
+        const awayReport = this.teamReport(sportKey, away);
+        if (!homeReport || !awayReport) return null;
+        return {
+            impact: Math.round((homeReport.burden - awayReport.burden) * 100) / 100,
+            home: homeReport,
+            away: awayReport
+        };
+    }
+
+    /**
+     * What to keep on a prediction to detect later changes
+     */
+    snapshot(sportKey, home, away) {
+        const game = this.gameImpact(sportKey, home, away);
+        if (!game) return null;
+        const side = report => ({ team: report.team, burden: report.burden, signature: report.signature });
+        return { at: this.now(), home: side(game.home), away: side(game.away) };
+    }
+
+    /**
+     * Flag open predictions whose teams' injury report changed after the pick was made
+     * @returns {Array} - Predictions whose injuryAlert was set, updated or cleared
+     */
+    flagChanges(predictions, now = this.now()) {
+        const flagged = [];
+        for (const pred of predictions || []) {
+            if (pred.settled || !pred.injuries || !pred.sportKey) continue;
+            const start = Date.parse(pred.gameTime);
+            if (Number.isFinite(start) && start <= now) continue;
+
+            const changes = [];
+            for (const sideKey of ['home', 'away']) {
+                const taken = pred.injuries[sideKey];
+                const current = taken && this.teamReport(pred.sportKey, taken.team);
+                if (!current || current.signature === taken.signature) continue;
+                changes.push({
+                    team: taken.team,
+                    from: taken.burden,
+                    to: current.burden,
+                    signature: current.signature,
+                    players: current.players
+                        .filter(p => p.miss >= 0.4)
+                        .sort((a, b) => b.weight * b.miss - a.weight * a.miss)
+                        .slice(0, 3)
+                        .map(p => `${p.player}${p.position ? ` (${p.position})` : ''} ${p.status}`)
+                });
+            }
+
+            // A report that changed back to what the pick saw clears the flag
+            if (changes.length === 0) {
+                if (pred.injuryAlert) {
+                    delete pred.injuryAlert;
+                    flagged.push(pred);
+                }
+                continue;
+            }
+            const known = pred.injuryAlert ? pred.injuryAlert.teams.map(t => `${t.team}:${t.signature}`).join('|') : '';
+            if (known === changes.map(t => `${t.team}:${t.signature}`).join('|')) continue;
+            pred.injuryAlert = { at: now, teams: changes };
+            flagged.push(pred);
+        }
+        return flagged;
+    }
+
+    // ============ Helper Functions ============
+
+    _player(sportKey, record) {
+        const status = normalizeInjuryStatus(record.status);
+        const position = String(record.position || '').toUpperCase().trim();
+        const weights = INJURY_POSITION_WEIGHTS[injurySportFamily(sportKey)] || { default: 0.15 };
+        const importance = parseFloat(record.importance);
+        return {
+            player: String(record.player || record.name || 'Unknown').trim(),
+            position: position,
+            status: status,
+            miss: INJURY_STATUS_MISS[status] ?? 0,
+            weight: Number.isFinite(importance) ? Math.max(0, Math.min(1, importance)) : (weights[position] ?? weights.default),
+            detail: record.detail || record.injury || null,
+            updated: record.updated || null
+        };
+    }
+
+    _isFresh(record) {
+        const updated = Date.parse(record.updated);
+        return Number.isFinite(updated) && this.now() - updated <= this.maxRecordAgeHours * 3600000;
+    }
+
+    _teamKey(sportKey, name, source) {
+        if (!name) return null;
+        if (this.resolveTeam) return this.resolveTeam(sportKey, name, source);
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || 'null') : null;
+        } catch (error) {
+            console.warn('Injuries: could not read saved reports:', error);
+        }
+        return { teams: {}, refreshed: {}, ...(saved || {}) };
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Injuries: could not save reports:', error);
+        }
+    }
+}
+
+function normalizeInjuryStatus(status) {
+    const text = String(status || '').toLowerCase().trim();
+    for (const [normalized, aliases] of Object.entries(INJURY_STATUS_ALIASES)) {
+        if (aliases.includes(text)) return normalized;
+    }
+    if (/\b(il|ir|out|suspen)/.test(text)) return 'out';
+    return text ? 'questionable' : 'active';
+}
+
+function injurySportFamily(sportKey) {
+    const key = String(sportKey || '');
+    if (key.startsWith('americanfootball_')) return 'football';
+    if (key.startsWith('basketball_')) return 'basketball';
+    if (key.startsWith('icehockey_')) return 'hockey';
+    if (key.startsWith('baseball_')) return 'baseball';
+    if (key.startsWith('soccer_')) return 'soccer';
+    return null;
+}
+
+function injuryBurden(players) {
+    const total = players.reduce((sum, p) => sum + p.weight * p.miss, 0);
+    return Math.round(Math.min(1, total) * 100) / 100;
+}
+
+/**
+ * Short hash of who is listed and with what status
+ */
+function injurySignature(players) {
+    const text = players
+        .filter(p => p.miss > 0)
+        .map(p => `${p.player.toLowerCase()}:${p.status}`)
+        .sort()
+        .join('|');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+}
+
+function injuryRecordsFromJson(data) {
+    const list = Array.isArray(data) ? data : (data && data.players);
+    if (!Array.isArray(list)) return null;
+    return list.map(r => ({ ...r, updated: r.updated || (data && data.updated) || null }));
+}
+
+/**
+ * Provider for the configured source ('file' or 'none', the default)
+ */
+function createInjuryProvider(config = {}, options = {}) {
+    if ((config.INJURY_PROVIDER || 'none').toLowerCase() !== 'file') return null;
+    return new FileInjuryProvider({ basePath: config.INJURY_PATH, ...options });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        InjuryProvider,
+        FileInjuryProvider,
+        InjuryTracker,
+        createInjuryProvider,
+        normalizeInjuryStatus
+    };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.InjuryProvider = InjuryProvider;
+    window.FileInjuryProvider = FileInjuryProvider;
+    window.InjuryTracker = InjuryTracker;
+    window.createInjuryProvider = createInjuryProvider;
+}
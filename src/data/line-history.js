@@ -0,0 +1,490 @@
+/**
+ * Line History Module
+ * Persistent odds history per game, bookmaker and outcome
+ *
+ * Features:
+ * - Every price change is stored in IndexedDB (survives reloads)
+ * - Unchanged prices are skipped, so repeated fetches don't bloat the store
+ * - Synchronous queries against an in-memory index loaded on open(); prices recorded before
+ *   it resolves are written once the database is open
+ * - Spreads and totals keep one series per point, so a price at -3 is never compared with one
+ *   at -3.5. Queries take an optional point; without one, prices are compared at the book's
+ *   current point and a moved line is reported separately (fromPoint/toPoint, pointMove)
+ * - Time-windowed movement queries ("moves in the last N minutes across K books")
+ * - Opening vs current consensus per outcome
+ *
+ * Falls back to memory-only when IndexedDB is unavailable (Node, private mode).
+ * Movement is the relative change in implied probability, the same measure
+ * MarketAnalyzer has always used: positive = the outcome got shorter.
+ */
+
+class LineHistoryStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'newbets-line-history';
+        this.storeName = 'snapshots';
+        this.retentionDays = options.retentionDays || 14;
+        this.idb = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+        // gameId -> { sportKey, commenceTime, series: { 'book|market|outcome|point': [points] } }
+        this.games = {};
+        this.db = null;
+        this._opening = null;
+        this._queued = this.idb ? [] : null; // points waiting for open() (null: nothing to wait for)
+    }
+
+    /**
+     * Open the database and load recent history into memory
+     * Safe to call more than once; resolves to false when running memory-only
+     */
+    open() {
+        if (this._opening) return this._opening;
+
+        this._opening = (async () => {
+            if (!this.idb) return false;
+            try {
+                this.db = await this._openDatabase();
+                await this.prune(this.retentionDays * 86400000);
+                const records = await this._readAll();
+                for (const record of records) {
+                    this._addPoint(record);
+                }
+                const queued = this._queued;
+                this._queued = null;
+                if (queued.length > 0) this._persist(queued);
+                return true;
+            } catch (error) {
+                console.warn('Line history: IndexedDB unavailable, using memory only', error);
+                this.db = null;
+                this._queued = null;
+                return false;
+            }
+        })();
+
+        return this._opening;
+    }
+
+    /**
+     * Record every outcome price in a list of events
+     * @returns {number} - Number of new price points stored
+     */
+    recordEvents(events, sportKey = null) {
+        let added = 0;
+        for (const event of events || []) {
+            added += this.recordGame(event, sportKey);
+        }
+        return added;
+    }
+
+    /**
+     * Record one event's prices (only the ones that changed since last seen)
+     * @param {Object} game - Event in the Odds API shape
+     * @returns {number} - Number of new price points stored
+     */
+    recordGame(game, sportKey = null) {
+        if (!game || !game.id) return 0;
+
+        const fresh = [];
+        for (const bookmaker of game.bookmakers || []) {
+            const bookKey = bookmaker.key || bookmaker.title;
+
+            for (const market of bookmaker.markets || []) {
+                const parsed = Date.parse(market.last_update || bookmaker.last_update);
+                const timestamp = Number.isFinite(parsed) ? parsed : Date.now();
+
+                for (const outcome of market.outcomes || []) {
+                    const point = {
+                        gameId: game.id,
+                        sportKey: sportKey || game.sport_key || null,
+                        commenceTime: game.commence_time || null,
+                        bookmaker: bookKey,
+                        market: market.key,
+                        outcome: outcome.name,
+                        point: outcome.point ?? null,
+                        odds: outcome.price,
+                        timestamp: timestamp
+                    };
+
+                    // Unchanged at this point, and the book has not quoted another point since
+                    const last = this._last(game.id, point.bookmaker, point.market, point.outcome, point.point);
+                    const latest = this._last(game.id, point.bookmaker, point.market, point.outcome);
+                    if (last && last.odds === point.odds && latest.timestamp <= last.timestamp) continue;
+                    if (latest && point.timestamp < latest.timestamp) point.timestamp = latest.timestamp;
+
+                    this._addPoint(point);
+                    fresh.push(point);
+                }
+            }
+        }
+
+        if (fresh.length > 0) {
+            this._persist(fresh);
+        }
+        return fresh.length;
+    }
+
+    /**
+     * Price points for a game, oldest first
+     * @param {Object} filter - { market, outcome, bookmaker, point, since, until }
+     */
+    getSeries(gameId, filter = {}) {
+        const game = this.games[gameId];
+        if (!game) return [];
+
+        const points = [];
+        for (const series of Object.values(game.series)) {
+            for (const p of series) {
+                if (filter.market && p.market !== filter.market) continue;
+                if (filter.outcome && p.outcome !== filter.outcome) continue;
+                if (filter.bookmaker && p.bookmaker !== filter.bookmaker) continue;
+                if (filter.point !== undefined && p.point !== filter.point) continue;
+                if (filter.since && p.timestamp < filter.since) continue;
+                if (filter.until && p.timestamp > filter.until) continue;
+                points.push(p);
+            }
+        }
+        return points.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Outcome names seen for a market (e.g. both teams for h2h)
+     */
+    getOutcomes(gameId, market = 'h2h') {
+        const outcomes = new Set(this.getSeries(gameId, { market }).map(p => p.outcome));
+        return [...outcomes];
+    }
+
+    /**
+     * Bookmakers that have quoted an outcome
+     */
+    getBooks(gameId, market, outcome) {
+        const books = new Set(this.getSeries(gameId, { market, outcome }).map(p => p.bookmaker));
+        return [...books];
+    }
+
+    /**
+     * Time of the newest price point recorded for a game
+     */
+    getLastUpdate(gameId) {
+        const game = this.games[gameId];
+        if (!game) return null;
+        let latest = null;
+        for (const series of Object.values(game.series)) {
+            const last = series[series.length - 1];
+            if (last && (latest === null || last.timestamp > latest)) latest = last.timestamp;
+        }
+        return latest;
+    }
+
+    /**
+     * Latest price a book offered at or before a given time
+     * @param {number} point - Only prices at this point (default: whatever point the book quoted)
+     */
+    getPriceAt(gameId, bookmaker, market, outcome, time = Date.now(), point = undefined) {
+        const series = this._seriesFor(gameId, bookmaker, market, outcome, point);
+        let found = null;
+        for (const p of series) {
+            if (p.timestamp > time) break;
+            found = p;
+        }
+        return found;
+    }
+
+    /**
+     * Consensus opening line (each book's first price, averaged in probability space)
+     * Without a point, only the books that opened at the most common point are averaged
+     */
+    getOpening(gameId, market, outcome, point = undefined) {
+        return this._consensus(gameId, market, outcome, point, series => series[0]);
+    }
+
+    /**
+     * Consensus current line (each book's latest price)
+     */
+    getCurrent(gameId, market, outcome, point = undefined) {
+        return this._consensus(gameId, market, outcome, point, series => series[series.length - 1]);
+    }
+
+    /**
+     * Opening vs current for one outcome
+     * Without a point, change compares prices at the current consensus point, and a line that
+     * moved shows in pointMove (change is null when nothing opened at the current point)
+     * @returns {Object|null} - { opening, current, change, pointMove, books }
+     */
+    getLineMovement(gameId, market, outcome, point = undefined) {
+        const opening = this.getOpening(gameId, market, outcome, point);
+        const current = this.getCurrent(gameId, market, outcome, point);
+        if (!opening || !current) return null;
+
+        const samePoint = opening.point === current.point
+            ? opening
+            : this.getOpening(gameId, market, outcome, current.point);
+
+        return {
+            opening: opening,
+            current: current,
+            change: samePoint ? (current.probability - samePoint.probability) / samePoint.probability : null,
+            pointMove: opening.point !== null && current.point !== null ? current.point - opening.point : 0,
+            books: current.books
+        };
+    }
+
+    /**
+     * Per-book movement of one outcome inside a time window
+     * Prices are compared at one point (options.point, else the book's current point);
+     * a book that moved its line reports it in fromPoint/toPoint, with change 0 when
+     * it never quoted the new point before
+     * @param {Object} options - { market, outcome, point, windowMinutes (null = since open), now }
+     * @returns {Array} - [{ bookmaker, fromOdds, toOdds, fromPoint, toPoint, change, since, at }]
+     */
+    getMovement(gameId, options = {}) {
+        const market = options.market || 'h2h';
+        const now = options.now || Date.now();
+        const since = options.windowMinutes ? now - options.windowMinutes * 60000 : 0;
+        const moves = [];
+
+        for (const bookmaker of this.getBooks(gameId, market, options.outcome)) {
+            const to = this.getPriceAt(gameId, bookmaker, market, options.outcome, now, options.point);
+            if (!to) continue;
+
+            // Quote in force when the window opened, else the first one inside it
+            const startOf = point => this.getPriceAt(gameId, bookmaker, market, options.outcome, since, point) ||
+                this._seriesFor(gameId, bookmaker, market, options.outcome, point)
+                    .find(p => p.timestamp >= since && p.timestamp <= now);
+            const line = startOf(options.point);
+            const price = options.point !== undefined ? line : startOf(to.point);
+            if (!line || line === to) continue;
+
+            const fromProb = price ? impliedProbability(price.odds) : null;
+            moves.push({
+                bookmaker: bookmaker,
+                fromOdds: price ? price.odds : to.odds,
+                toOdds: to.odds,
+                fromPoint: line.point,
+                toPoint: to.point,
+                change: price ? (impliedProbability(to.odds) - fromProb) / fromProb : 0,
+                since: line.timestamp,
+                at: to.timestamp
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Outcomes that moved at least minChange, in the same direction, at minBooks or more books
+     * (price moves at one point; see getMovement)
+     * @param {Object} options - { market, point, windowMinutes, minChange, minBooks, now }
+     * @returns {Array} - [{ outcome, direction, books, avgChange, moves }], biggest move first
+     */
+    getCoordinatedMoves(gameId, options = {}) {
+        const market = options.market || 'h2h';
+        const minChange = options.minChange || 0.03;
+        const minBooks = options.minBooks || 3;
+        const results = [];
+
+        for (const outcome of this.getOutcomes(gameId, market)) {
+            const moves = this.getMovement(gameId, { ...options, market, outcome })
+                .filter(m => Math.abs(m.change) >= minChange);
+
+            for (const direction of ['shorter', 'longer']) {
+                const sameWay = moves.filter(m => direction === 'shorter' ? m.change > 0 : m.change < 0);
+                if (sameWay.length < minBooks) continue;
+
+                results.push({
+                    outcome: outcome,
+                    direction: direction,
+                    books: sameWay.length,
+                    avgChange: sameWay.reduce((sum, m) => sum + m.change, 0) / sameWay.length,
+                    moves: sameWay
+                });
+            }
+        }
+
+        return results.sort((a, b) => Math.abs(b.avgChange) - Math.abs(a.avgChange));
+    }
+
+    /**
+     * Drop history older than maxAge (memory and disk)
+     */
+    async prune(maxAge = this.retentionDays * 86400000) {
+        const cutoff = Date.now() - maxAge;
+
+        for (const [gameId, game] of Object.entries(this.games)) {
+            for (const [key, series] of Object.entries(game.series)) {
+                game.series[key] = series.filter(p => p.timestamp >= cutoff);
+                if (game.series[key].length === 0) delete game.series[key];
+            }
+            if (Object.keys(game.series).length === 0) delete this.games[gameId];
+        }
+
+        if (!this.db) return;
+        await this._transaction('readwrite', store => {
+            const range = IDBKeyRange.upperBound(cutoff, true);
+            const request = store.index('timestamp').openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Remove all history
+     */
+    async clear() {
+        this.games = {};
+        if (this._queued) this._queued = [];
+        if (!this.db) return;
+        await this._transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Summary for storage/debug displays
+     */
+    getStats() {
+        let points = 0;
+        for (const game of Object.values(this.games)) {
+            for (const series of Object.values(game.series)) {
+                points += series.length;
+            }
+        }
+        return { games: Object.keys(this.games).length, points: points, persistent: !!this.db };
+    }
+
+    // ============ Helper Functions ============
+
+    _key(bookmaker, market, outcome, point = null) {
+        return `${bookmaker}|${market}|${outcome}|${point ?? ''}`;
+    }
+
+    /**
+     * One book's prices for an outcome; without a point, every point's series merged by time
+     */
+    _seriesFor(gameId, bookmaker, market, outcome, point) {
+        const game = this.games[gameId];
+        if (!game) return [];
+        if (point !== undefined) return game.series[this._key(bookmaker, market, outcome, point)] || [];
+
+        const prefix = `${bookmaker}|${market}|${outcome}|`;
+        const matching = Object.keys(game.series).filter(key => key.startsWith(prefix));
+        if (matching.length <= 1) return matching.length === 1 ? game.series[matching[0]] : [];
+        return matching.flatMap(key => game.series[key]).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    _last(gameId, bookmaker, market, outcome, point = undefined) {
+        const series = this._seriesFor(gameId, bookmaker, market, outcome, point);
+        return series.length > 0 ? series[series.length - 1] : null;
+    }
+
+    _addPoint(point) {
+        const game = this.games[point.gameId] = this.games[point.gameId] ||
+            { sportKey: point.sportKey, commenceTime: point.commenceTime, series: {} };
+        const key = this._key(point.bookmaker, point.market, point.outcome, point.point);
+        const series = game.series[key] = game.series[key] || [];
+
+        series.push(point);
+        // Records loaded from disk are not guaranteed to come back in time order
+        if (series.length > 1 && series[series.length - 2].timestamp > point.timestamp) {
+            series.sort((a, b) => a.timestamp - b.timestamp);
+        }
+    }
+
+    _consensus(gameId, market, outcome, point, pick) {
+        let chosen = [];
+        for (const bookmaker of this.getBooks(gameId, market, outcome)) {
+            const series = this._seriesFor(gameId, bookmaker, market, outcome, point);
+            if (series.length > 0) chosen.push(pick(series));
+        }
+        if (chosen.length === 0) return null;
+
+        // Books at different points are not averaged together: keep the most common point
+        if (point === undefined) {
+            const counts = new Map();
+            for (const p of chosen) counts.set(p.point, (counts.get(p.point) || 0) + 1);
+            const main = [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+            chosen = chosen.filter(p => p.point === main);
+        }
+
+        const probability = chosen.reduce((sum, p) => sum + impliedProbability(p.odds), 0) / chosen.length;
+
+        return {
+            odds: probabilityToOdds(probability),
+            probability: probability,
+            point: chosen[0].point ?? null,
+            timestamp: Math.max(...chosen.map(p => p.timestamp)),
+            books: chosen.length
+        };
+    }
+
+    _persist(points) {
+        if (!this.db) {
+            if (this._queued) this._queued.push(...points);
+            return;
+        }
+        this._transaction('readwrite', store => {
+            for (const point of points) store.add(point);
+        }).catch(error => console.warn('Line history: failed to persist snapshot', error));
+    }
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = this.idb.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { autoIncrement: true });
+                store.createIndex('gameId', 'gameId', { unique: false });
+                store.createIndex('timestamp', 'timestamp', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _readAll() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+/**
+ * Convert American odds to implied probability
+ */
+function impliedProbability(odds) {
+    return odds > 0 ? 100 / (odds + 100) : Math.abs(odds) / (Math.abs(odds) + 100);
+}
+
+/**
+ * Convert implied probability to American odds
+ */
+function probabilityToOdds(prob) {
+    return prob >= 0.5 ? -100 * prob / (1 - prob) : 100 * (1 - prob) / prob;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineHistoryStore;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.LineHistoryStore = LineHistoryStore;
+}
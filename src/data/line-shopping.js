@@ -0,0 +1,158 @@
+/**
+ * Line Shopping Module
+ * Finds the best available price for an outcome across every bookmaker
+ *
+ * Features:
+ * - Quotes from every book for a market/outcome (optionally at one point)
+ * - Excluded books are never quoted
+ * - Preferred books (the ones you hold accounts at) are shopped first; other
+ *   books are only used when no preferred book offers the outcome
+ * - Odds API regions setting (us, us2, uk, eu, au)
+ *
+ * Books match by bookmaker key or title, case-insensitive ('draftkings' or 'DraftKings').
+ */
+
+const ODDS_REGIONS = ['us', 'us2', 'uk', 'eu', 'au'];
+
+class LineShopper {
+    constructor(options = {}) {
+        this.preferredBooks = [];
+        this.excludedBooks = [];
+        this.regions = 'us';
+        this.setPreferences(options);
+    }
+
+    /**
+     * Update preferences; omitted fields keep their current value
+     * @param {Object} prefs - { preferredBooks, excludedBooks, regions }
+     */
+    setPreferences(prefs = {}) {
+        if (prefs.preferredBooks !== undefined) this.preferredBooks = parseBookList(prefs.preferredBooks);
+        if (prefs.excludedBooks !== undefined) this.excludedBooks = parseBookList(prefs.excludedBooks);
+        if (prefs.regions !== undefined) this.regions = parseRegions(prefs.regions) || this.regions;
+        return this;
+    }
+
+    isExcluded(bookmaker) {
+        return matchesBook(this.excludedBooks, bookmaker);
+    }
+
+    isPreferred(bookmaker) {
+        return matchesBook(this.preferredBooks, bookmaker);
+    }
+
+    /**
+     * Every non-excluded book's price for one outcome, best price first
+     * @param {Object} game - Event in the-odds-api shape
+     * @param {string} market - 'h2h' | 'spreads' | 'totals'
+     * @param {string} outcome - Outcome name (team, 'Draw', 'Over', 'Under')
+     * @param {number} point - Only quote this line (spreads/totals); omit for any
+     * @returns {Array} - [{ book, key, odds, point, preferred }]
+     */
+    getQuotes(game, market, outcome, point = undefined) {
+        const quotes = [];
+        for (const bookmaker of (game && game.bookmakers) || []) {
+            if (this.isExcluded(bookmaker)) continue;
+            const m = (bookmaker.markets || []).find(mk => mk.key === market);
+            const o = m && (m.outcomes || []).find(out => out.name === outcome);
+            if (!o || typeof o.price !== 'number') continue;
+            if (point !== undefined && o.point !== point) continue;
+
+            quotes.push({
+                book: bookmaker.title || bookmaker.key,
+                key: bookmaker.key || bookmaker.title,
+                odds: o.price,
+                point: o.point ?? null,
+                preferred: this.isPreferred(bookmaker)
+            });
+        }
+        return quotes.sort((a, b) => shopDecimal(b.odds) - shopDecimal(a.odds));
+    }
+
+    /**
+     * Best price for one outcome
+     * @returns {Object|null} - { book, key, odds, point, preferred, books: [{ book, odds }] }
+     */
+    getBest(game, market, outcome, point = undefined) {
+        const quotes = this.getQuotes(game, market, outcome, point);
+        if (quotes.length === 0) return null;
+
+        const best = quotes.find(q => q.preferred) || quotes[0];
+        return {
+            ...best,
+            books: quotes.map(q => ({ book: q.book, odds: q.odds }))
+        };
+    }
+
+    /**
+     * Best price for every outcome of a market
+     * @returns {Object} - { [outcomeName]: best }
+     */
+    getBestByOutcome(game, market) {
+        const names = new Set();
+        for (const bookmaker of (game && game.bookmakers) || []) {
+            const m = (bookmaker.markets || []).find(mk => mk.key === market);
+            for (const o of (m && m.outcomes) || []) names.add(o.name);
+        }
+
+        const result = {};
+        for (const name of names) {
+            const best = this.getBest(game, market, name);
+            if (best) result[name] = best;
+        }
+        return result;
+    }
+
+    toJSON() {
+        return {
+            preferredBooks: this.preferredBooks,
+            excludedBooks: this.excludedBooks,
+            regions: this.regions
+        };
+    }
+
+    static fromJSON(json) {
+        return new LineShopper(json || {});
+    }
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Accepts an array or a comma-separated string; returns lowercase names
+ */
+function parseBookList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(b => String(b).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Keep only regions the Odds API knows; null if none are left
+ */
+function parseRegions(value) {
+    const list = parseBookList(value).filter(r => ODDS_REGIONS.includes(r));
+    return list.length > 0 ? list.join(',') : null;
+}
+
+function matchesBook(list, bookmaker) {
+    if (list.length === 0 || !bookmaker) return false;
+    const names = typeof bookmaker === 'string'
+        ? [bookmaker]
+        : [bookmaker.key, bookmaker.title];
+    return names.some(n => n && list.includes(String(n).toLowerCase()));
+}
+
+function shopDecimal(odds) {
+    return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LineShopper, ODDS_REGIONS };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.LineShopper = LineShopper;
+    window.ODDS_REGIONS = ODDS_REGIONS;
+}
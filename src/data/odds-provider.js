@@ -0,0 +1,325 @@
+/**
+ * Odds Provider Module
+ * One interface for odds and scores, independent of where the data comes from
+ *
+ * Providers:
+ * - TheOddsApiProvider: live data from the-odds-api.com (v4)
+ * - ReplayOddsProvider: recorded JSON snapshots served from disk
+ *
+ * Every provider resolves to the-odds-api event shape, so the
+ * analyze → settle → learn pipeline doesn't care which one is active.
+ * Failed requests resolve to null (not []), so callers can tell
+ * "no games" apart from "no data".
+ */
+
+class OddsProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+        this.onOdds = options.onOdds || null; // (sportKey, events) after fresh odds arrive
+        this.onScores = options.onScores || null; // (sportKey, events) after fresh scores arrive
+    }
+
+    /**
+     * Fetch upcoming events with bookmaker odds
+     * @param {string} sportKey - e.g. 'basketball_nba'
+     * @param {Object} options - { cacheOnly } to skip the network entirely, { allowStale: false } to require a fresh copy
+     * @returns {Promise<Array|null>} - Events, or null if unavailable
+     */
+    async getOdds(sportKey, options = {}) {
+        throw new Error(`${this.name}: getOdds() not implemented`);
+    }
+
+    /**
+     * Fetch recent and live scores
+     * @param {string} sportKey - e.g. 'basketball_nba'
+     * @param {number} daysFrom - How many days back to include completed games
+     * @returns {Promise<Array|null>} - Events with scores, or null if unavailable
+     */
+    async getScores(sportKey, daysFrom = 3, options = {}) {
+        throw new Error(`${this.name}: getScores() not implemented`);
+    }
+
+    /**
+     * Whether requests made through this provider count against an API quota
+     */
+    get usesQuota() {
+        return false;
+    }
+
+    /**
+     * Quota units one request would use
+     * @param {string} endpoint - 'odds' | 'scores'
+     * @param {Object} options - Same options as getOdds/getScores ({ markets, regions, daysFrom })
+     */
+    requestCost(endpoint, options = {}) {
+        return 0;
+    }
+
+    _emitOdds(sportKey, events) {
+        if (!this.onOdds || !Array.isArray(events)) return;
+        try {
+            this.onOdds(sportKey, events);
+        } catch (error) {
+            console.warn(`${this.name}: onOdds hook failed:`, error);
+        }
+    }
+
+    _emitScores(sportKey, events) {
+        if (!this.onScores || !Array.isArray(events)) return;
+        try {
+            this.onScores(sportKey, events);
+        } catch (error) {
+            console.warn(`${this.name}: onScores hook failed:`, error);
+        }
+    }
+}
+
+/**
+ * Live provider backed by the-odds-api.com
+ */
+class TheOddsApiProvider extends OddsProvider {
+    constructor(options = {}) {
+        super({ name: 'the-odds-api', onOdds: options.onOdds, onScores: options.onScores });
+        this.baseUrl = options.baseUrl || 'https://api.the-odds-api.com/v4';
+        this.regions = options.regions || 'us';
+        this.markets = options.markets || 'h2h,spreads,totals';
+        this.oddsFormat = options.oddsFormat || 'american';
+
+        // Injected collaborators (all optional)
+        this.getApiKey = options.getApiKey || (() => '');
+        this.cache = options.cache || null;         // HttpCache: { fetch(request, loader, options) }
+        this.onRequest = options.onRequest || null; // called once per network request
+        this.fetchImpl = options.fetch || null;
+    }
+
+    get usesQuota() {
+        return true;
+    }
+
+    // Odds cost one unit per market per region; scores cost 2 when daysFrom is set
+    requestCost(endpoint, options = {}) {
+        if (endpoint === 'scores') return options.daysFrom ? 2 : 1;
+        const count = value => String(value).split(',').filter(Boolean).length;
+        return count(options.markets || this.markets) * count(options.regions || this.regions);
+    }
+
+    async getOdds(sportKey, options = {}) {
+        const params = {
+            regions: options.regions || this.regions,
+            markets: options.markets || this.markets,
+            oddsFormat: this.oddsFormat
+        };
+        return this._request('odds', `/sports/${sportKey}/odds`, params, {
+            ...options,
+            onFresh: events => this._emitOdds(sportKey, events)
+        });
+    }
+
+    async getScores(sportKey, daysFrom = 3, options = {}) {
+        return this._request('scores', `/sports/${sportKey}/scores`, { daysFrom }, {
+            ...options,
+            onFresh: events => this._emitScores(sportKey, events)
+        });
+    }
+
+    /**
+     * Build a request URL (the API key is only added here, never to cache keys)
+     */
+    buildUrl(path, params = {}) {
+        const query = new URLSearchParams({ apiKey: this.getApiKey(), ...params });
+        return `${this.baseUrl}${path}?${query.toString()}`;
+    }
+
+    /**
+     * Cached request; the cache handles freshness, stale-while-revalidate and de-duplication
+     * @param {string} endpoint - Cache policy name ('odds' | 'scores')
+     * @param {Object} options - { cacheOnly, allowStale, onFresh }
+     */
+    async _request(endpoint, path, params, options = {}) {
+        const load = () => this._fetchJson(path, params, options.onFresh);
+        if (!this.cache) return options.cacheOnly ? null : load();
+
+        return this.cache.fetch({ path, params }, load, {
+            endpoint,
+            cacheOnly: options.cacheOnly,
+            allowStale: options.allowStale
+        });
+    }
+
+    async _fetchJson(path, params, onFresh) {
+        const fetchFn = this.fetchImpl || fetch;
+        const response = await fetchFn(this.buildUrl(path, params));
+        if (this.onRequest) {
+            try {
+                this.onRequest(response, { path, params });
+            } catch (error) {
+                console.warn('Odds provider onRequest hook failed:', error);
+            }
+        }
+
+        if (!response.ok) {
+            console.warn(`${this.name}: ${path} failed`, response.status, response.statusText);
+            return null;
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data)) return null;
+        if (onFresh) onFresh(data);
+        return data;
+    }
+}
+
+/**
+ * Offline provider that replays recorded snapshots
+ *
+ * Layout on disk:
+ *   <basePath>/<snapshot>/<sportKey>/odds.json
+ *   <basePath>/<snapshot>/<sportKey>/scores.json
+ *
+ *   <basePath>/<snapshot>/manifest.json   (optional: { recordedAt, sports })
+ *
+ * Files hold the raw API response (an array of events). A missing file
+ * means the sport had no data in that snapshot. Switching snapshots
+ * (e.g. 'pregame' → 'final') lets a single run walk through a slate.
+ *
+ * With rebaseTime on (default), timestamps are shifted so the first
+ * snapshot's recordedAt lands on "now" and today-only filters still match.
+ */
+class ReplayOddsProvider extends OddsProvider {
+    constructor(options = {}) {
+        super({ name: 'replay', onOdds: options.onOdds, onScores: options.onScores });
+        this.basePath = (options.basePath || './fixtures/replay').replace(/\/+$/, '');
+        this.snapshot = options.snapshot || 'sample';
+        this.loader = options.loader || ReplayOddsProvider.defaultLoader;
+        this.rebaseTime = options.rebaseTime !== false;
+        this._shiftMs = null;
+    }
+
+    setSnapshot(snapshot) {
+        this.snapshot = snapshot;
+    }
+
+    async getOdds(sportKey, options = {}) {
+        const events = await this._load(sportKey, 'odds.json');
+        this._emitOdds(sportKey, events);
+        return events;
+    }
+
+    async getScores(sportKey, daysFrom = 3, options = {}) {
+        const events = await this._load(sportKey, 'scores.json');
+        this._emitScores(sportKey, events);
+        return events;
+    }
+
+    async _load(sportKey, file) {
+        const path = `${this.basePath}/${this.snapshot}/${sportKey}/${file}`;
+        let data;
+        try {
+            data = await this.loader(path);
+        } catch (error) {
+            console.log(`${this.name}: no snapshot at ${path}`);
+            return null;
+        }
+        if (!Array.isArray(data)) return null;
+        return this.rebaseTime ? this._rebase(data, await this._getShiftMs()) : data;
+    }
+
+    /**
+     * Offset that moves the recording time to now. Computed once per provider
+     * so later snapshots of the same slate stay aligned with earlier ones.
+     */
+    async _getShiftMs() {
+        if (this._shiftMs !== null) return this._shiftMs;
+        let recordedAt = NaN;
+        try {
+            const manifest = await this.loader(`${this.basePath}/${this.snapshot}/manifest.json`);
+            recordedAt = Date.parse(manifest && manifest.recordedAt);
+        } catch (error) {
+            // No manifest - replay timestamps as recorded
+        }
+        this._shiftMs = Number.isFinite(recordedAt) ? Date.now() - recordedAt : 0;
+        return this._shiftMs;
+    }
+
+    _rebase(events, shiftMs) {
+        if (!shiftMs) return events;
+        const shift = (iso) => iso ? new Date(Date.parse(iso) + shiftMs).toISOString() : iso;
+
+        return events.map(event => {
+            const copy = { ...event, commence_time: shift(event.commence_time) };
+            if (event.last_update) copy.last_update = shift(event.last_update);
+            if (Array.isArray(event.bookmakers)) {
+                copy.bookmakers = event.bookmakers.map(bm => ({ ...bm, last_update: shift(bm.last_update) }));
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * Read JSON from disk (Node) or via fetch relative to the page (browser)
+     */
+    static async defaultLoader(path) {
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            const fs = require('fs');
+            return JSON.parse(fs.readFileSync(path, 'utf8'));
+        }
+        const response = await fetch(path, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Read final scores from an event in the /scores shape
+ * The API labels scores by team name; older cached data used 'home'/'away'.
+ * @returns {{home: number|null, away: number|null}}
+ */
+function extractEventScores(event) {
+    const scores = Array.isArray(event && event.scores) ? event.scores : [];
+    const find = (teamName, label) => {
+        const entry = scores.find(s => s.name === teamName) || scores.find(s => s.name === label);
+        const value = entry ? parseFloat(entry.score) : NaN;
+        return Number.isFinite(value) ? value : null;
+    };
+    return {
+        home: find(event && event.home_team, 'home'),
+        away: find(event && event.away_team, 'away')
+    };
+}
+
+/**
+ * Create a provider from a config object (window.APP_CONFIG shape)
+ */
+function createOddsProvider(config = {}, options = {}) {
+    if ((config.ODDS_PROVIDER || '').toLowerCase() === 'replay') {
+        return new ReplayOddsProvider({
+            basePath: config.REPLAY_PATH,
+            snapshot: config.REPLAY_SNAPSHOT,
+            rebaseTime: config.REPLAY_REBASE_TIME,
+            ...options
+        });
+    }
+    return new TheOddsApiProvider(options);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OddsProvider,
+        TheOddsApiProvider,
+        ReplayOddsProvider,
+        createOddsProvider,
+        extractEventScores
+    };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.OddsProvider = OddsProvider;
+    window.TheOddsApiProvider = TheOddsApiProvider;
+    window.ReplayOddsProvider = ReplayOddsProvider;
+    window.createOddsProvider = createOddsProvider;
+    window.extractEventScores = extractEventScores;
+}
@@ -0,0 +1,185 @@
+/**
+ * Public Betting Module
+ * Ticket % and handle % per side, from pluggable sources
+ *
+ * Providers:
+ * - PublicBettingProvider: interface
+ * - FilePublicBettingProvider: JSON or CSV files dropped into a folder, one per league
+ *
+ * Records: { home_team, away_team, commence_time, market ('h2h' default), outcome
+ * (team name, 'home', 'away' or 'Draw'), tickets (0-100), handle (0-100), updated }
+ * Records without a commence_time (or date) are dropped: splits can't be tied to one meeting of two teams
+ * without it.
+ *
+ * forGame() returns { tickets: { [outcome]: pct }, handle: { [outcome]: pct }, updated }
+ * keyed by the odds feed's outcome names, which is what MarketAnalyzer.analyzeMarket()
+ * takes as context.publicBetting.
+ */
+
+class PublicBettingProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * Current betting splits for a league
+     * @param {string} sportKey - Odds API sport key
+     * @returns {Promise<Array|null>} - Split records, or null if unavailable
+     */
+    async getSplits(sportKey) {
+        throw new Error(`${this.name}: getSplits() not implemented`);
+    }
+}
+
+class FilePublicBettingProvider extends PublicBettingProvider {
+    /**
+     * Reads <basePath>/<sportKey>.json (a list of records or { updated, splits: [...] }),
+     * falling back to <basePath>/<sportKey>.csv with the record fields as header
+     */
+    constructor(options = {}) {
+        super({ name: 'file' });
+        this.basePath = (options.basePath || './data/public-betting').replace(/\/+$/, '');
+        this.loader = options.loader || undefined;   // path => text (default loadDataFile)
+    }
+
+    async getSplits(sportKey) {
+        // src/data/csv.js: a global in the browser, required under Node
+        const read = typeof readLeagueFile !== 'undefined' ? readLeagueFile : require('./csv').readLeagueFile;
+        return read(this.basePath, sportKey, data => {
+            const list = Array.isArray(data) ? data : (data && data.splits);
+            return Array.isArray(list) ? list.map(r => ({ ...r, updated: r.updated || data.updated || null })) : null;
+        }, this.loader);
+    }
+}
+
+class PublicBettingTracker {
+    constructor(options = {}) {
+        this.provider = options.provider || null;       // PublicBettingProvider
+        this.resolveTeam = options.resolveTeam || null; // (sportKey, name, source) => team ID or null
+        this.maxAgeMinutes = options.maxAgeMinutes || 15;
+        this.now = options.now || (() => Date.now());
+        this.splits = {};    // sportKey -> normalized records
+        this.refreshed = {}; // sportKey -> timestamp
+    }
+
+    /**
+     * Reload a league's splits (skipped while the last load is younger than maxAgeMinutes)
+     * @returns {Promise<boolean>} - Whether splits were loaded
+     */
+    async refresh(sportKey, options = {}) {
+        if (!this.provider) return false;
+        const maxAge = (options.maxAgeMinutes ?? this.maxAgeMinutes) * 60000;
+        const last = this.refreshed[sportKey];
+        if (!options.force && last && this.now() - last < maxAge) return false;
+        this.refreshed[sportKey] = this.now();
+
+        let records;
+        try {
+            records = await this.provider.getSplits(sportKey);
+        } catch (error) {
+            console.warn(`Public betting: ${sportKey} splits failed`, error);
+            return false;
+        }
+        if (!Array.isArray(records)) return false;
+
+        this.splits[sportKey] = records
+            .map(r => this._normalize(sportKey, r))
+            .filter(Boolean);
+        return true;
+    }
+
+    /**
+     * Splits for one game and market, keyed by the game's outcome names
+     * @param {Object} game - Odds API event
+     * @returns {Object|null} - { tickets, handle, updated }, or null without data
+     */
+    forGame(game, market = 'h2h') {
+        const records = this.splits[game.sport_key];
+        if (!records || records.length === 0) return null;
+        const homeKey = this._teamKey(game.sport_key, game.home_team, 'odds');
+        const awayKey = this._teamKey(game.sport_key, game.away_team, 'odds');
+        const start = Date.parse(game.commence_time);
+
+        const matches = records.filter(r =>
+            r.market === market && r.homeKey === homeKey && r.awayKey === awayKey &&
+            Number.isFinite(start) && Math.abs(r.commenceTime - start) < 86400000);
+        if (matches.length === 0) return null;
+
+        const names = { home: game.home_team, away: game.away_team, draw: 'Draw' };
+        const result = { tickets: {}, handle: {}, updated: null };
+        for (const r of matches) {
+            const name = names[r.side];
+            if (r.tickets !== null) result.tickets[name] = r.tickets;
+            if (r.handle !== null) result.handle[name] = r.handle;
+            if (r.updated && (!result.updated || r.updated > result.updated)) result.updated = r.updated;
+        }
+        if (Object.keys(result.tickets).length === 0) result.tickets = null;
+        if (Object.keys(result.handle).length === 0) result.handle = null;
+        return result.tickets || result.handle ? result : null;
+    }
+
+    // ============ Helper Functions ============
+
+    _normalize(sportKey, record) {
+        const commenceTime = Date.parse(record.commence_time || record.date);
+        if (!Number.isFinite(commenceTime)) return null;
+        const homeKey = this._teamKey(sportKey, record.home_team, 'public-betting');
+        const awayKey = this._teamKey(sportKey, record.away_team, 'public-betting');
+        if (!homeKey || !awayKey) return null;
+
+        const outcome = String(record.outcome || '').trim();
+        let side = ['home', 'away', 'draw'].includes(outcome.toLowerCase()) ? outcome.toLowerCase() : null;
+        if (!side) {
+            const key = this._teamKey(sportKey, outcome, 'public-betting');
+            side = key === homeKey ? 'home' : (key === awayKey ? 'away' : null);
+        }
+        if (!side) return null;
+
+        const pct = value => {
+            const n = parseFloat(String(value ?? '').replace('%', ''));
+            return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : null;
+        };
+        return {
+            homeKey,
+            awayKey,
+            market: record.market || 'h2h',
+            side,
+            tickets: pct(record.tickets),
+            handle: pct(record.handle),
+            commenceTime,
+            updated: record.updated || null
+        };
+    }
+
+    _teamKey(sportKey, name, source) {
+        if (!name) return null;
+        if (this.resolveTeam) return this.resolveTeam(sportKey, name, source);
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+}
+
+/**
+ * Provider for the configured source ('file' or 'none', the default)
+ */
+function createPublicBettingProvider(config = {}, options = {}) {
+    if ((config.PUBLIC_BETTING_PROVIDER || 'none').toLowerCase() !== 'file') return null;
+    return new FilePublicBettingProvider({ basePath: config.PUBLIC_BETTING_PATH, ...options });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PublicBettingProvider,
+        FilePublicBettingProvider,
+        PublicBettingTracker,
+        createPublicBettingProvider
+    };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.PublicBettingProvider = PublicBettingProvider;
+    window.FilePublicBettingProvider = FilePublicBettingProvider;
+    window.PublicBettingTracker = PublicBettingTracker;
+    window.createPublicBettingProvider = createPublicBettingProvider;
+}
@@ -0,0 +1,437 @@
+/**
+ * Results Store Module
+ * Every completed game seen from a scores feed, with per-team form derived from it
+ *
+ * Features:
+ * - Records all finished games a scores response contains, not only the ones bet on
+ * - One record per game: the same game from two feeds (Odds API, API-Sports) is stored once
+ * - Rolling form, win/loss streaks, scoring averages, rest days, back-to-backs and
+ *   head-to-head records, always as of a point in time (no peeking at later games)
+ * - Persists in IndexedDB; synchronous queries against an in-memory index
+ *
+ * Teams are keyed by team ID when a resolver is given (team registry), else by normalized name.
+ * Queries only look names up (lookupTeam) so they never register teams; names a feed could not
+ * resolve are stored by normalized name until rekeyTeams() moves them under their team ID.
+ * Falls back to memory-only when IndexedDB is unavailable (Node, private mode).
+ */
+
+const RESULTS_DAY_MS = 86400000;
+
+class ResultsStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'newbets-results';
+        this.storeName = 'games';
+        this.retentionDays = options.retentionDays || 400;
+        this.seasonDays = options.seasonDays || 200;   // games counted in "season" stats
+        this.recentGames = options.recentGames || 5;   // games counted in recent form
+        this.resolveTeam = options.resolveTeam || null; // (sportKey, name, source) => teamId | null
+        this.lookupTeam = options.lookupTeam || null;   // (sportKey, name) => teamId | null, no side effects
+        this.idb = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+        this.games = {};  // key -> record
+        this.byTeam = {}; // 'sportKey|teamKey' -> [records], oldest first
+        this.revision = 0; // Bumped whenever games are added or dropped
+        this.db = null;
+        this._opening = null;
+    }
+
+    /**
+     * Open the database and load saved games into memory
+     * Safe to call more than once; resolves to false when running memory-only
+     */
+    open() {
+        if (this._opening) return this._opening;
+
+        this._opening = (async () => {
+            if (!this.idb) return false;
+            try {
+                this.db = await this._openDatabase();
+                for (const record of await this._readAll()) {
+                    this._index(record);
+                }
+                await this.prune();
+                return true;
+            } catch (error) {
+                console.warn('Results store: IndexedDB unavailable, using memory only', error);
+                this.db = null;
+                return false;
+            }
+        })();
+
+        return this._opening;
+    }
+
+    /**
+     * Record the completed games of a scores response
+     * @param {string} sportKey - Odds API sport key
+     * @param {Array} events - Events in the /scores shape (unfinished ones are skipped)
+     * @param {string} source - Feed the names come from ('scores', 'api-sports')
+     * @returns {number} - Number of games not seen before
+     */
+    recordEvents(sportKey, events, source = 'scores') {
+        const fresh = [];
+        for (const event of events || []) {
+            const record = this._recordFor(sportKey, event, source);
+            if (!record || this.games[record.key]) continue;
+            this._index(record);
+            fresh.push(record);
+        }
+        if (fresh.length > 0) this._persist(fresh);
+        return fresh.length;
+    }
+
+    /**
+     * Move games stored under a name onto the team ID that name now resolves to
+     * (call after a name is mapped or a team is added)
+     * @param {string} sportKey - Only this sport's games (all when omitted)
+     * @returns {number} - Games re-keyed
+     */
+    rekeyTeams(sportKey) {
+        const moved = [];
+        for (const record of Object.values(this.games)) {
+            if (sportKey && record.sportKey !== sportKey) continue;
+            const homeKey = this._teamKey(record.sportKey, record.home);
+            const awayKey = this._teamKey(record.sportKey, record.away);
+            if (homeKey === record.homeKey && awayKey === record.awayKey) continue;
+            moved.push({ record, homeKey, awayKey });
+        }
+        if (moved.length === 0) return 0;
+
+        const removed = [];
+        const added = [];
+        for (const { record, homeKey, awayKey } of moved) {
+            delete this.games[record.key];
+            removed.push(record.key);
+            const key = `${record.sportKey}|${homeKey}|${awayKey}|${record.key.split('|').pop()}`;
+            // The same game may already be stored under the ID from another feed
+            if (this.games[key]) continue;
+            const rekeyed = { ...record, key, homeKey, awayKey };
+            this.games[key] = rekeyed;
+            added.push(rekeyed);
+        }
+        this._rebuildTeams();
+
+        if (this.db) {
+            this._transaction('readwrite', store => {
+                for (const key of removed) store.delete(key);
+                for (const record of added) store.put(record);
+            }).catch(error => console.warn('Results store: failed to persist re-keyed games', error));
+        }
+        return moved.length;
+    }
+
+    /**
+     * Every stored game of a sport, oldest first
+     */
+    getGames(sportKey) {
+        return Object.values(this.games)
+            .filter(g => g.sportKey === sportKey)
+            .sort((a, b) => a.commenceTime - b.commenceTime);
+    }
+
+    /**
+     * Key a team's games are stored under (team ID, or normalized name without a resolver)
+     */
+    teamKey(sportKey, name) {
+        return this._teamKey(sportKey, name);
+    }
+
+    /**
+     * A team's games, oldest first
+     * @param {Object} options - { before, since } timestamps, { limit } most recent games
+     */
+    getTeamGames(sportKey, team, options = {}) {
+        const list = this.byTeam[`${sportKey}|${this._teamKey(sportKey, team)}`] || [];
+        const games = list.filter(g =>
+            (options.before === undefined || g.commenceTime < options.before) &&
+            (options.since === undefined || g.commenceTime >= options.since));
+        return options.limit ? games.slice(-options.limit) : games;
+    }
+
+    /**
+     * Form of a team as of a moment
+     * @param {Object} options - { at } (default now), { opponent } for the head-to-head record
+     * @returns {Object} - { games, winRate, recentForm, streak, avgScore, avgAllowed, restDays,
+     *                      backToBack, gamesLast7, margins, scores, recent, h2hRecord, h2hGames }
+     *                     (rates and averages are null without games)
+     */
+    teamForm(sportKey, team, options = {}) {
+        const at = options.at ?? Date.now();
+        const key = this._teamKey(sportKey, team);
+        const games = this.getTeamGames(sportKey, team, { before: at, since: at - this.seasonDays * RESULTS_DAY_MS });
+        const rows = games.map(g => resultsRowFor(g, key));
+
+        const last = games[games.length - 1];
+        const restDays = last ? Math.round((at - last.commenceTime) / RESULTS_DAY_MS * 10) / 10 : null;
+        const h2h = options.opponent ? this.headToHead(sportKey, team, options.opponent, { at }) : null;
+
+        return {
+            games: rows.length,
+            winRate: resultsWinShare(rows),
+            recentForm: resultsWinShare(rows.slice(-this.recentGames)),
+            streak: resultsStreak(rows),
+            avgScore: resultsMean(rows.map(r => r.for)),
+            avgAllowed: resultsMean(rows.map(r => r.against)),
+            restDays: restDays,
+            // Played the previous day (a 36h gap covers late starts and time zones)
+            backToBack: restDays !== null && restDays <= 1.5,
+            gamesLast7: games.filter(g => at - g.commenceTime <= 7 * RESULTS_DAY_MS).length,
+            margins: rows.map(r => r.for - r.against),
+            scores: rows.map(r => r.for),
+            recent: rows.slice(-this.recentGames).map(r => r.for),
+            h2hRecord: h2h ? h2h.winRate : null,
+            h2hGames: h2h ? h2h.games : 0
+        };
+    }
+
+    /**
+     * Head-to-head record of team against opponent (all stored meetings before `at`)
+     * @returns {Object} - { games, wins, losses, draws, winRate (null without meetings) }
+     */
+    headToHead(sportKey, team, opponent, options = {}) {
+        const at = options.at ?? Date.now();
+        const key = this._teamKey(sportKey, team);
+        const oppKey = this._teamKey(sportKey, opponent);
+        const rows = this.getTeamGames(sportKey, team, { before: at })
+            .filter(g => g.homeKey === oppKey || g.awayKey === oppKey)
+            .map(g => resultsRowFor(g, key));
+        return {
+            games: rows.length,
+            wins: rows.filter(r => r.result === 'W').length,
+            losses: rows.filter(r => r.result === 'L').length,
+            draws: rows.filter(r => r.result === 'D').length,
+            winRate: resultsWinShare(rows)
+        };
+    }
+
+    /**
+     * Historical inputs for FeatureExtractor, home team first
+     * @returns {Object} - { teamStats, oppStats, restDaysTeam, restDaysOpp, backToBackTeam,
+     *                      backToBackOpp, fatigueScore, h2hGames } (fields are null/0 without data)
+     */
+    getMatchup(sportKey, homeTeam, awayTeam, options = {}) {
+        const at = options.at ?? Date.now();
+        const home = this.teamForm(sportKey, homeTeam, { at, opponent: awayTeam });
+        const away = this.teamForm(sportKey, awayTeam, { at, opponent: homeTeam });
+        const fatigue = form => Math.min(10, form.gamesLast7 + (form.backToBack ? 4 : 0));
+        return {
+            teamStats: home,
+            oppStats: away,
+            restDaysTeam: home.restDays,
+            restDaysOpp: away.restDays,
+            backToBackTeam: home.backToBack,
+            backToBackOpp: away.backToBack,
+            fatigueScore: home.games > 0 ? fatigue(home) : null,
+            h2hGames: home.h2hGames
+        };
+    }
+
+    /**
+     * The stored result of one game: same teams, same (UTC) day as its start
+     * @returns {Object|null} - Game record ({ homeScore, awayScore, ... })
+     */
+    findGame(sportKey, homeName, awayName, at) {
+        if (!Number.isFinite(at)) return null;
+        const day = new Date(at).toISOString().slice(0, 10);
+        const key = `${sportKey}|${this._teamKey(sportKey, homeName)}|${this._teamKey(sportKey, awayName)}|${day}`;
+        return this.games[key] || null;
+    }
+
+    /**
+     * Drop games older than the retention window
+     */
+    async prune(maxAge = this.retentionDays * RESULTS_DAY_MS) {
+        const cutoff = Date.now() - maxAge;
+        const expired = Object.values(this.games).filter(g => g.commenceTime < cutoff).map(g => g.key);
+        if (expired.length === 0) return 0;
+
+        for (const key of expired) delete this.games[key];
+        this.revision++;
+        for (const [teamKey, list] of Object.entries(this.byTeam)) {
+            this.byTeam[teamKey] = list.filter(g => g.commenceTime >= cutoff);
+            if (this.byTeam[teamKey].length === 0) delete this.byTeam[teamKey];
+        }
+
+        if (this.db) {
+            await this._transaction('readwrite', store => {
+                for (const key of expired) store.delete(key);
+            });
+        }
+        return expired.length;
+    }
+
+    getStats() {
+        const games = Object.values(this.games);
+        return {
+            games: games.length,
+            teams: Object.keys(this.byTeam).length,
+            sports: [...new Set(games.map(g => g.sportKey))].length,
+            persistent: !!this.db
+        };
+    }
+
+    // ============ Helper Functions ============
+
+    _recordFor(sportKey, event, source) {
+        if (!event || !event.completed) return null;
+        const homeName = event.home_team || event.home;
+        const awayName = event.away_team || event.away;
+        const commenceTime = Date.parse(event.commence_time);
+        if (!homeName || !awayName || !Number.isFinite(commenceTime)) return null;
+
+        const score = resultsScoreOf(event);
+        if (!score) return null;
+
+        const homeKey = this._teamKey(sportKey, homeName, source);
+        const awayKey = this._teamKey(sportKey, awayName, source);
+        const day = new Date(commenceTime).toISOString().slice(0, 10);
+        return {
+            key: `${sportKey}|${homeKey}|${awayKey}|${day}`,
+            id: event.id || null,
+            source: event.source || source,
+            sportKey,
+            commenceTime,
+            home: homeName,
+            away: awayName,
+            homeKey,
+            awayKey,
+            homeScore: score.home,
+            awayScore: score.away
+        };
+    }
+
+    /**
+     * Recording passes the feed's source (may register or queue the name); queries pass none
+     * and only look the name up
+     */
+    _teamKey(sportKey, name, source = null) {
+        let id = null;
+        if (source && this.resolveTeam) id = this.resolveTeam(sportKey, name, source);
+        else if (this.lookupTeam) id = this.lookupTeam(sportKey, name);
+        else if (this.resolveTeam) id = this.resolveTeam(sportKey, name, 'odds');
+        return id || String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    _rebuildTeams() {
+        this.byTeam = {};
+        this.revision++;
+        const games = Object.values(this.games).sort((a, b) => a.commenceTime - b.commenceTime);
+        for (const record of games) {
+            for (const teamKey of [record.homeKey, record.awayKey]) {
+                const bucket = `${record.sportKey}|${teamKey}`;
+                (this.byTeam[bucket] = this.byTeam[bucket] || []).push(record);
+            }
+        }
+    }
+
+    _index(record) {
+        this.games[record.key] = record;
+        this.revision++;
+        for (const teamKey of [record.homeKey, record.awayKey]) {
+            const bucket = `${record.sportKey}|${teamKey}`;
+            const list = this.byTeam[bucket] = this.byTeam[bucket] || [];
+            list.push(record);
+            // Keep oldest first; games mostly arrive in order, so this is usually a no-op
+            for (let i = list.length - 1; i > 0 && list[i - 1].commenceTime > list[i].commenceTime; i--) {
+                [list[i - 1], list[i]] = [list[i], list[i - 1]];
+            }
+        }
+    }
+
+    _persist(records) {
+        if (!this.db) return;
+        this._transaction('readwrite', store => {
+            for (const record of records) store.put(record);
+        }).catch(error => console.warn('Results store: failed to persist games', error));
+    }
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = this.idb.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('commenceTime', 'commenceTime', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _readAll() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    _transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+/**
+ * { home, away } final score of a /scores event; null if incomplete
+ */
+function resultsScoreOf(event) {
+    const scores = Array.isArray(event.scores) ? event.scores : [];
+    const find = (teamName, label) => {
+        const entry = scores.find(s => s.name === teamName) || scores.find(s => s.name === label);
+        const value = entry ? parseFloat(entry.score) : NaN;
+        return Number.isFinite(value) ? value : null;
+    };
+    const home = find(event.home_team, 'home');
+    const away = find(event.away_team, 'away');
+    return home !== null && away !== null ? { home, away } : null;
+}
+
+/**
+ * One game from a team's point of view
+ */
+function resultsRowFor(game, teamKey) {
+    const isHome = game.homeKey === teamKey;
+    const scored = isHome ? game.homeScore : game.awayScore;
+    const allowed = isHome ? game.awayScore : game.homeScore;
+    return { for: scored, against: allowed, result: scored > allowed ? 'W' : (scored < allowed ? 'L' : 'D') };
+}
+
+// Wins count 1, draws 0.5
+function resultsWinShare(rows) {
+    if (rows.length === 0) return null;
+    return rows.reduce((sum, r) => sum + (r.result === 'W' ? 1 : (r.result === 'D' ? 0.5 : 0)), 0) / rows.length;
+}
+
+// +n for n straight wins, -n for n straight losses, 0 after a draw
+function resultsStreak(rows) {
+    let streak = 0;
+    for (let i = rows.length - 1; i >= 0; i--) {
+        const step = rows[i].result === 'W' ? 1 : (rows[i].result === 'L' ? -1 : 0);
+        if (step === 0 || (streak !== 0 && Math.sign(streak) !== step)) break;
+        streak += step;
+    }
+    return streak;
+}
+
+function resultsMean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsStore;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ResultsStore = ResultsStore;
+}
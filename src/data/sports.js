@@ -0,0 +1,175 @@
+/**
+ * Sports Registry
+ * One table of every league the app analyzes
+ *
+ * Features:
+ * - Odds API key, display name and emoji
+ * - Typical game duration (settlement timing)
+ * - Draw and overtime rules (three-way markets, grading)
+ * - Season calendars, so pipelines only spend requests on leagues that are playing
+ *
+ * Adding a league is one entry here, or one entry in APP_CONFIG.SPORTS:
+ *   SPORTS: [{ key: 'basketball_euroleague', name: 'EuroLeague', emoji: '🏀', seasons: [{ start: '10-01', end: '05-31' }] }]
+ * Config entries with an existing key override its fields; { key, enabled: false } turns a league off.
+ * NCAAB, WNBA and La Liga ship disabled; { key: 'basketball_ncaab', enabled: true } turns one on.
+ *
+ * Rules:
+ *   draws    - the moneyline is a three-way (1X2) market
+ *   overtime - 'included': bets settle on the final score including OT/extra innings/shootouts
+ *              'excluded': bets settle on regulation time only (soccer 90' + stoppage)
+ *   ties     - the final result can still be level (NFL regular season, soccer)
+ * Seasons are 'MM-DD' ranges and may wrap the new year ({ start: '09-01', end: '02-15' }).
+ */
+
+const DEFAULT_SPORTS = [
+    { key: 'americanfootball_nfl', name: 'NFL', emoji: '🏈', durationMinutes: 210, draws: false, overtime: 'included', ties: true, seasons: [{ start: '09-01', end: '02-15' }] },
+    { key: 'basketball_nba', name: 'NBA', emoji: '🏀', durationMinutes: 150, draws: false, overtime: 'included', ties: false, seasons: [{ start: '10-15', end: '06-25' }] },
+    { key: 'icehockey_nhl', name: 'NHL', emoji: '🏒', durationMinutes: 150, draws: false, overtime: 'included', ties: false, seasons: [{ start: '10-01', end: '06-30' }] },
+    { key: 'baseball_mlb', name: 'MLB', emoji: '⚾', durationMinutes: 180, draws: false, overtime: 'included', ties: false, seasons: [{ start: '03-20', end: '11-05' }] },
+    { key: 'americanfootball_ncaaf', name: 'NCAAF', emoji: '🎓', durationMinutes: 210, draws: false, overtime: 'included', ties: false, seasons: [{ start: '08-20', end: '01-20' }] },
+    { key: 'basketball_ncaab', name: 'NCAAB', emoji: '🏀', durationMinutes: 135, draws: false, overtime: 'included', ties: false, seasons: [{ start: '11-01', end: '04-10' }], enabled: false },
+    { key: 'basketball_wnba', name: 'WNBA', emoji: '🏀', durationMinutes: 135, draws: false, overtime: 'included', ties: false, seasons: [{ start: '05-10', end: '10-25' }], enabled: false },
+    { key: 'soccer_epl', name: 'EPL', emoji: '⚽', durationMinutes: 115, draws: true, overtime: 'excluded', ties: true, seasons: [{ start: '08-10', end: '05-31' }] },
+    { key: 'soccer_spain_la_liga', name: 'La Liga', emoji: '⚽', durationMinutes: 115, draws: true, overtime: 'excluded', ties: true, seasons: [{ start: '08-10', end: '06-01' }], enabled: false },
+    { key: 'soccer_usa_mls', name: 'MLS', emoji: '⚽', durationMinutes: 115, draws: true, overtime: 'excluded', ties: true, seasons: [{ start: '02-15', end: '12-15' }] },
+    { key: 'soccer_uefa_champs_league', name: 'UCL', emoji: '⚽', durationMinutes: 115, draws: true, overtime: 'excluded', ties: true, seasons: [{ start: '07-01', end: '06-05' }] }
+];
+
+class SportsRegistry {
+    constructor(options = {}) {
+        this.defaultDuration = options.defaultDuration || 180;
+        this.sports = DEFAULT_SPORTS.map(s => ({ enabled: true, ...s }));
+
+        for (const entry of options.sports || []) {
+            this.register(entry);
+        }
+    }
+
+    /**
+     * Add a league, or override fields of an existing one
+     * @param {Object} entry - { key, name, emoji, durationMinutes, draws, overtime, ties, seasons, enabled }
+     */
+    register(entry) {
+        if (!entry || !entry.key) {
+            console.warn('Sports registry: entry without a key ignored', entry);
+            return null;
+        }
+
+        const existing = this.sports.find(s => s.key === entry.key);
+        if (existing) {
+            Object.assign(existing, entry);
+            return existing;
+        }
+
+        const sport = {
+            name: entry.key,
+            emoji: '🏅',
+            durationMinutes: this.defaultDuration,
+            draws: entry.key.startsWith('soccer_'),
+            overtime: entry.key.startsWith('soccer_') ? 'excluded' : 'included',
+            ties: entry.key.startsWith('soccer_'),
+            seasons: [],
+            enabled: true,
+            ...entry
+        };
+        this.sports.push(sport);
+        return sport;
+    }
+
+    /**
+     * Every enabled league
+     */
+    all() {
+        return this.sports.filter(s => s.enabled !== false);
+    }
+
+    /**
+     * Look up a league by Odds API key or display name ('basketball_nba', 'NBA', 'nba')
+     */
+    get(keyOrName) {
+        if (!keyOrName) return null;
+        const wanted = String(keyOrName).toLowerCase();
+        return this.sports.find(s => s.key === wanted || s.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Odds API key for a prediction's sport field; unknown values pass through unchanged
+     */
+    keyFor(keyOrName) {
+        const sport = this.get(keyOrName);
+        return sport ? sport.key : keyOrName;
+    }
+
+    nameFor(keyOrName) {
+        const sport = this.get(keyOrName);
+        return sport ? sport.name : keyOrName;
+    }
+
+    /**
+     * Leagues playing on a date
+     * @param {Date|number} date
+     * @param {Object} options - { marginDays } to start/end each season a few days early/late
+     */
+    inSeason(date = new Date(), options = {}) {
+        return this.all().filter(s => this.isInSeason(s, date, options));
+    }
+
+    isInSeason(keyOrName, date = new Date(), options = {}) {
+        const sport = typeof keyOrName === 'object' ? keyOrName : this.get(keyOrName);
+        if (!sport) return false;
+        // No calendar means always in season
+        if (!sport.seasons || sport.seasons.length === 0) return true;
+
+        const day = this._dayOfYear(new Date(date));
+        const margin = options.marginDays || 0;
+        return sport.seasons.some(range => {
+            const start = this._dayOfYear(range.start) - margin;
+            const end = this._dayOfYear(range.end) + margin;
+            return start <= end
+                ? day >= start && day <= end
+                : day >= start || day <= end; // wraps the new year
+        });
+    }
+
+    /**
+     * Typical game length in minutes (kick-off to final whistle, including breaks)
+     */
+    durationMinutes(keyOrName) {
+        const sport = this.get(keyOrName);
+        return (sport && sport.durationMinutes) || this.defaultDuration;
+    }
+
+    hasDraws(keyOrName) {
+        const sport = this.get(keyOrName);
+        return !!(sport && sport.draws);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * Day of a non-leap year (1-365) for a Date or an 'MM-DD' string
+     */
+    _dayOfYear(value) {
+        let month;
+        let day;
+        if (value instanceof Date) {
+            month = value.getMonth() + 1;
+            day = value.getDate();
+        } else {
+            [month, day] = String(value).split('-').map(Number);
+        }
+        const cumulative = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+        return cumulative[month - 1] + Math.min(day, month === 2 ? 28 : 31);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SportsRegistry, DEFAULT_SPORTS };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.SportsRegistry = SportsRegistry;
+    window.DEFAULT_SPORTS = DEFAULT_SPORTS;
+}
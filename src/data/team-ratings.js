@@ -0,0 +1,295 @@
+/**
+ * Team Ratings Module
+ * Per-sport Elo ratings with a Glicko-style rating deviation, rebuilt from the results store
+ *
+ * Features:
+ * - Elo update with home-field advantage and a margin-of-victory multiplier
+ *   (blowouts count for more, with less credit when the favorite runs up the score)
+ * - Rating deviation (RD): shrinks with every game, grows while a team sits idle;
+ *   new and long-idle teams move faster
+ * - Between seasons ratings regress toward the mean: once per season boundary of the sport's calendar
+ *   (the middle of the break before each season), however long the team was idle; sports without a
+ *   calendar fall back to a gap of offseasonDays without a game
+ * - Ratings as of any moment, so replays and training rows never see later results
+ * - Nothing to persist: the ratings are replayed from the stored games when those change
+ *
+ * Constants per sport family (first part of the Odds API key), overridable per key:
+ *   k             - Elo K-factor
+ *   homeAdvantage - Elo points added to the home side
+ *   regression    - Share of the distance to the mean given back between seasons
+ *   marginSd      - Spread of final margins around the expected one (points, runs or goals),
+ *                   for turning a win probability into a probability of covering a spread
+ */
+
+const RATING_DAY_MS = 86400000;
+const RATING_Q = Math.LN10 / 400;
+
+const RATING_DEFAULTS = {
+    americanfootball: { k: 20, homeAdvantage: 48, regression: 1 / 3, marginSd: 13.5 },
+    americanfootball_ncaaf: { k: 25, homeAdvantage: 55, regression: 0.4, marginSd: 16 },
+    basketball: { k: 20, homeAdvantage: 100, regression: 0.25, marginSd: 12 },
+    basketball_ncaab: { k: 25, homeAdvantage: 100, regression: 0.4, marginSd: 10.5 },
+    baseball: { k: 6, homeAdvantage: 24, regression: 1 / 3, marginSd: 4.2 },
+    icehockey: { k: 10, homeAdvantage: 50, regression: 0.3, marginSd: 2.4 },
+    soccer: { k: 20, homeAdvantage: 65, regression: 0.2, marginSd: 1.7 },
+    default: { k: 20, homeAdvantage: 50, regression: 0.25, marginSd: 12 }
+};
+
+class TeamRatings {
+    /**
+     * @param {Object} options
+     *   store         - ResultsStore the games come from
+     *   sports        - { sportKey or family: { k, homeAdvantage, regression, marginSd } } overrides
+     *   mean          - Rating of an average team (default 1500)
+     *   initialRd     - Deviation of a team without games, also the cap (default 350)
+     *   minRd         - Floor of the deviation (default 30)
+     *   rdGrowth      - Deviation added per sqrt(idle day) (default 6)
+     *   calendar      - (sportKey) => [{ start: 'MM-DD', end: 'MM-DD' }] season ranges, e.g. from
+     *                   SportsRegistry; an empty list means no calendar
+     *   offseasonDays - Gap that counts as a new season for sports without a calendar (default 60)
+     */
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.sports = { ...RATING_DEFAULTS };
+        for (const [key, value] of Object.entries(options.sports || {})) {
+            this.sports[key] = { ...(this.sports[key] || {}), ...value };
+        }
+        this.mean = options.mean || 1500;
+        this.initialRd = options.initialRd || 350;
+        this.minRd = options.minRd || 30;
+        this.rdGrowth = options.rdGrowth ?? 6;
+        this.calendar = options.calendar || null;
+        this.offseasonDays = options.offseasonDays || 60;
+
+        this.tables = {};  // sportKey -> { revision, teams: { teamKey -> { name, history } } }
+    }
+
+    /**
+     * Constants in effect for a sport
+     * @returns {Object} - { k, homeAdvantage, regression, marginSd }
+     */
+    settings(sportKey) {
+        const family = String(sportKey || '').split('_')[0];
+        return { ...this.sports.default, ...this.sports[family], ...this.sports[sportKey] };
+    }
+
+    /**
+     * A team's rating as of a moment (offseason regression and idle time applied)
+     * @param {Object} options - { at } (default now)
+     * @returns {Object} - { rating, rd, games, lastPlayed (null without games) }
+     */
+    ratingAt(sportKey, team, options = {}) {
+        const at = options.at ?? Date.now();
+        const table = this._table(sportKey);
+        const entry = table ? table.teams[this.store.teamKey(sportKey, team)] : null;
+        const history = entry ? entry.history : [];
+
+        // Last game before `at` (history is oldest first)
+        let lo = 0;
+        let hi = history.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (history[mid].t < at) lo = mid + 1; else hi = mid;
+        }
+        if (lo === 0) return { rating: this.mean, rd: this.initialRd, games: 0, lastPlayed: null };
+
+        const last = history[lo - 1];
+        const state = this._carry(sportKey, last, at);
+        return { rating: state.rating, rd: state.rd, games: lo, lastPlayed: last.t };
+    }
+
+    /**
+     * Win probability of the home side from both ratings
+     * @param {Object} options - { at } (default now)
+     * @returns {Object} - { probability, ratingDiff (home - away, home advantage included),
+     *                      uncertainty (combined RD), home, away }
+     */
+    predict(sportKey, homeTeam, awayTeam, options = {}) {
+        const home = this.ratingAt(sportKey, homeTeam, options);
+        const away = this.ratingAt(sportKey, awayTeam, options);
+        const ratingDiff = home.rating + this.settings(sportKey).homeAdvantage - away.rating;
+        const uncertainty = Math.sqrt(home.rd ** 2 + away.rd ** 2);
+        return {
+            probability: ratingExpectation(ratingDiff, uncertainty),
+            ratingDiff,
+            uncertainty,
+            home,
+            away
+        };
+    }
+
+    /**
+     * Probability that the home side covers a spread, from the rating win probability: margins are
+     * taken as normal with the sport's marginSd, centered where they give that win probability
+     * @param {number} homePoint - Points added to the home score (e.g. -3.5)
+     * @param {Object} options - { at } (default now), { minGames } each team needs (default 5)
+     * @returns {number|null} - null while either team has fewer than minGames rated games
+     */
+    coverProbability(sportKey, homeTeam, awayTeam, homePoint, options = {}) {
+        const prediction = this.predict(sportKey, homeTeam, awayTeam, options);
+        const minGames = options.minGames ?? 5;
+        if (prediction.home.games < minGames || prediction.away.games < minGames) return null;
+
+        const sd = this.settings(sportKey).marginSd;
+        const expectedMargin = sd * ratingNormalQuantile(prediction.probability);
+        return ratingNormalCdf((expectedMargin + homePoint) / sd);
+    }
+
+    /**
+     * Teams of a sport by current rating, best first
+     * @returns {Array<Object>} - [{ team, rating, rd, games }]
+     */
+    getTable(sportKey, options = {}) {
+        const table = this._table(sportKey);
+        if (!table) return [];
+        const at = options.at ?? Date.now();
+        return Object.values(table.teams)
+            .map(entry => ({ team: entry.name, ...this.ratingAt(sportKey, entry.name, { at }) }))
+            .sort((a, b) => b.rating - a.rating);
+    }
+
+    // ============ Helper Functions ============
+
+    /**
+     * Ratings of a sport, replayed when the store changed since the last replay
+     */
+    _table(sportKey) {
+        if (!this.store) return null;
+        const cached = this.tables[sportKey];
+        if (cached && cached.revision === this.store.revision) return cached;
+
+        const table = { revision: this.store.revision, teams: {} };
+        for (const game of this.store.getGames(sportKey)) {
+            this._play(sportKey, table.teams, game);
+        }
+        this.tables[sportKey] = table;
+        return table;
+    }
+
+    _play(sportKey, teams, game) {
+        const { k, homeAdvantage } = this.settings(sportKey);
+        const side = (key, name) => teams[key] = teams[key] || { name, history: [] };
+        const home = side(game.homeKey, game.home);
+        const away = side(game.awayKey, game.away);
+        const before = entry => entry.history.length > 0
+            ? this._carry(sportKey, entry.history[entry.history.length - 1], game.commenceTime)
+            : { rating: this.mean, rd: this.initialRd };
+        const h = before(home);
+        const a = before(away);
+
+        const diff = h.rating + homeAdvantage - a.rating;
+        const expected = 1 / (1 + Math.pow(10, -diff / 400));
+        const margin = game.homeScore - game.awayScore;
+        const actual = margin > 0 ? 1 : (margin < 0 ? 0 : 0.5);
+
+        // Margin of victory, damped by how much the winner was already favored
+        const winnerDiff = margin > 0 ? diff : -diff;
+        const movMultiplier = margin === 0 ? 1 : Math.log(Math.abs(margin) + 1) * 2.2 / (Math.max(winnerDiff, -400) * 0.001 + 2.2);
+
+        const step = (self, opp, score, expect) => {
+            const g = ratingG(opp.rd);
+            const d2 = 1 / (RATING_Q ** 2 * g ** 2 * expect * (1 - expect));
+            return {
+                rating: self.rating + k * Math.min(2, Math.max(1, self.rd / 100)) * movMultiplier * (score - expect),
+                rd: Math.max(this.minRd, Math.sqrt(1 / (1 / self.rd ** 2 + 1 / d2)))
+            };
+        };
+        const nextHome = step(h, a, actual, expected);
+        const nextAway = step(a, h, 1 - actual, 1 - expected);
+        home.history.push({ t: game.commenceTime, ...nextHome });
+        away.history.push({ t: game.commenceTime, ...nextAway });
+    }
+
+    /**
+     * A stored rating carried forward to `at`: regressed after an offseason, RD grown with idle time
+     */
+    _carry(sportKey, last, at) {
+        const idleDays = Math.max(0, (at - last.t) / RATING_DAY_MS);
+        let rating = last.rating;
+        if (this._newSeason(sportKey, last.t, at, idleDays)) {
+            rating = this.mean + (rating - this.mean) * (1 - this.settings(sportKey).regression);
+        }
+        const rd = Math.min(this.initialRd, Math.sqrt(last.rd ** 2 + this.rdGrowth ** 2 * idleDays));
+        return { rating, rd };
+    }
+
+    /**
+     * Whether a new season began between a game and a later moment
+     */
+    _newSeason(sportKey, from, to, idleDays) {
+        const seasons = this.calendar ? this.calendar(sportKey) || [] : [];
+        if (seasons.length === 0) return idleDays >= this.offseasonDays;
+
+        return ratingSeasonBoundaries(seasons).some(day => {
+            // First time the boundary comes round after `from`
+            const year = new Date(from).getUTCFullYear();
+            let boundary = Date.UTC(year, 0, day);
+            if (boundary <= from) boundary = Date.UTC(year + 1, 0, day);
+            return boundary <= to;
+        });
+    }
+}
+
+// Day of a non-leap year (1-365) for an 'MM-DD' string
+function ratingDayOfYear(monthDay) {
+    const [month, day] = String(monthDay).split('-').map(Number);
+    return (Date.UTC(2001, month - 1, day) - Date.UTC(2001, 0, 1)) / RATING_DAY_MS + 1;
+}
+
+/**
+ * Season boundaries of a calendar as days of the year: the middle of the break between the end of
+ * the previous season and the start of each one, so early openers and late playoffs fall on the
+ * right side of it
+ */
+function ratingSeasonBoundaries(seasons) {
+    const ranges = seasons
+        .map(range => ({ start: ratingDayOfYear(range.start), end: ratingDayOfYear(range.end) }))
+        .sort((a, b) => a.start - b.start);
+    return ranges.map((range, i) => {
+        const previousEnd = ranges[(i + ranges.length - 1) % ranges.length].end;
+        const gap = (range.start - previousEnd + 365) % 365;
+        return (previousEnd - 1 + Math.floor(gap / 2)) % 365 + 1;
+    });
+}
+
+// Glicko attenuation: the less certain the ratings, the closer the expectation stays to 50%
+function ratingG(rd) {
+    return 1 / Math.sqrt(1 + 3 * RATING_Q ** 2 * rd ** 2 / Math.PI ** 2);
+}
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26, error below 1e-7)
+function ratingNormalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+        Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of ratingNormalCdf by bisection
+function ratingNormalQuantile(p) {
+    let lo = -8;
+    let hi = 8;
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (ratingNormalCdf(mid) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Expected score of the side rated `ratingDiff` points higher, given the combined deviation
+ */
+function ratingExpectation(ratingDiff, uncertainty = 0) {
+    return 1 / (1 + Math.pow(10, -ratingG(uncertainty) * ratingDiff / 400));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamRatings, ratingExpectation, RATING_DEFAULTS };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.TeamRatings = TeamRatings;
+    window.ratingExpectation = ratingExpectation;
+}
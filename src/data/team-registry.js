@@ -0,0 +1,350 @@
+/**
+ * Team Registry
+ * Canonical teams per league, so every feed's spelling resolves to one team ID
+ *
+ * Features:
+ * - Team IDs per league ('soccer_epl:manchester-united')
+ * - Aliases for every feed (odds, scores, fallback results, injury/betting files)
+ * - The odds feed is canonical: its names register new teams automatically
+ * - Names from any other feed must match a known name or alias exactly;
+ *   anything else goes to a review queue to be mapped once by hand
+ * - No fuzzy matching at resolve time (suggestions are only shown in the review queue)
+ * - lookup() reads the index without registering or queueing (for queries, e.g. team form)
+ * - onChange(sportKey) fires when a team or alias is added, so stores keyed by team ID can re-key
+ *
+ * Normalization only folds case, accents, punctuation and club-type suffixes
+ * (FC, AFC, CF, SC); identity words like United, City or Real are kept, so
+ * "Manchester United" and "Manchester City" never meet.
+ */
+
+const DEFAULT_TEAM_ALIASES = {
+    soccer_epl: {
+        'Manchester United': ['Man United', 'Man Utd', 'Manchester Utd'],
+        'Manchester City': ['Man City'],
+        'Tottenham Hotspur': ['Tottenham', 'Spurs'],
+        'Wolverhampton Wanderers': ['Wolves', 'Wolverhampton'],
+        'Brighton and Hove Albion': ['Brighton', 'Brighton & Hove Albion'],
+        'Newcastle United': ['Newcastle'],
+        'West Ham United': ['West Ham'],
+        'Nottingham Forest': ["Nott'm Forest", 'Nottm Forest'],
+        'Leicester City': ['Leicester'],
+        'Sheffield United': ['Sheffield Utd'],
+        'AFC Bournemouth': ['Bournemouth']
+    },
+    soccer_spain_la_liga: {
+        'Atlético Madrid': ['Atletico Madrid', 'Atl. Madrid', 'Atletico de Madrid'],
+        'Athletic Bilbao': ['Athletic Club'],
+        'Real Betis': ['Betis'],
+        'Celta Vigo': ['Celta'],
+        'Alavés': ['Deportivo Alaves'],
+        'Rayo Vallecano': ['Rayo']
+    },
+    soccer_usa_mls: {
+        'Inter Miami CF': ['Inter Miami'],
+        'LA Galaxy': ['Los Angeles Galaxy'],
+        'Los Angeles FC': ['LAFC'],
+        'New York Red Bulls': ['NY Red Bulls'],
+        'New York City FC': ['NYCFC', 'New York City']
+    },
+    basketball_nba: {
+        'Los Angeles Clippers': ['LA Clippers'],
+        'Los Angeles Lakers': ['LA Lakers']
+    },
+    icehockey_nhl: {
+        'Utah Hockey Club': ['Utah HC', 'Utah Mammoth']
+    },
+    baseball_mlb: {
+        'Oakland Athletics': ['Athletics']
+    },
+    americanfootball_nfl: {
+        'Washington Commanders': ['Washington']
+    }
+};
+
+class TeamRegistry {
+    constructor(options = {}) {
+        this.storage = options.storage || null;            // localStorage-like
+        this.storageKey = options.storageKey || 'teamRegistry';
+        this.canonicalSources = options.canonicalSources || ['odds'];
+        this.now = options.now || (() => Date.now());
+        this.onChange = options.onChange || null;          // (sportKey) => void, after a team or alias is added
+
+        this.state = this._load();
+        this.index = {}; // sportKey -> normalized name -> teamId
+        this._seed(options.seed || DEFAULT_TEAM_ALIASES);
+        this._reindex();
+    }
+
+    /**
+     * Team ID for a name in a league
+     * @param {string} sportKey - Odds API sport key
+     * @param {string} name - Team name as the feed spells it
+     * @param {Object} options - { source } ('odds' registers unknown names; other sources queue them)
+     * @returns {string|null} - Team ID, or null when the name needs review
+     */
+    resolve(sportKey, name, options = {}) {
+        const normalized = normalizeTeamName(name);
+        if (!sportKey || !normalized) return null;
+
+        const known = this.index[sportKey] && this.index[sportKey][normalized];
+        if (known) return known;
+
+        const source = options.source || 'odds';
+        if (this.canonicalSources.includes(source)) {
+            return this.addTeam(sportKey, String(name).trim()).id;
+        }
+
+        this._queueForReview(sportKey, String(name).trim(), source);
+        return null;
+    }
+
+    /**
+     * Team ID of a known name or alias; never registers or queues the name
+     * @returns {string|null}
+     */
+    lookup(sportKey, name) {
+        const normalized = normalizeTeamName(name);
+        if (!sportKey || !normalized) return null;
+        return (this.index[sportKey] && this.index[sportKey][normalized]) || null;
+    }
+
+    /**
+     * Team IDs for both sides of an event
+     * @returns {Object} - { homeId, awayId } (either may be null)
+     */
+    resolveEvent(sportKey, event, options = {}) {
+        return {
+            homeId: this.resolve(sportKey, event && (event.home_team || event.home), options),
+            awayId: this.resolve(sportKey, event && (event.away_team || event.away), options)
+        };
+    }
+
+    /**
+     * Register the canonical names of an odds feed response (wire to the provider's onOdds hook)
+     */
+    recordEvents(sportKey, events) {
+        if (!Array.isArray(events)) return;
+        const before = Object.keys(this.state.teams).length;
+        for (const event of events) {
+            this.resolveEvent(sportKey, event, { source: 'odds' });
+        }
+        if (Object.keys(this.state.teams).length !== before) this._save();
+    }
+
+    /**
+     * Whether two names are the same team (both must resolve)
+     */
+    sameTeam(sportKey, a, b, options = {}) {
+        const idA = this.resolve(sportKey, a, { source: options.sourceA || options.source });
+        const idB = this.resolve(sportKey, b, { source: options.sourceB || options.source });
+        return !!idA && idA === idB;
+    }
+
+    getTeam(teamId) {
+        return this.state.teams[teamId] || null;
+    }
+
+    /**
+     * Teams of one league, by name
+     */
+    getTeams(sportKey) {
+        return Object.values(this.state.teams)
+            .filter(t => t.sportKey === sportKey)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Create a team (or return the existing one with that name)
+     */
+    addTeam(sportKey, name) {
+        const normalized = normalizeTeamName(name);
+        const existing = this.index[sportKey] && this.index[sportKey][normalized];
+        if (existing) return this.state.teams[existing];
+
+        let id = `${sportKey}:${teamSlug(name)}`;
+        for (let n = 2; this.state.teams[id]; n++) id = `${sportKey}:${teamSlug(name)}-${n}`;
+
+        const team = { id, sportKey, name, aliases: [] };
+        this.state.teams[id] = team;
+        this._indexName(sportKey, name, id);
+        this._clearReview(sportKey, name);
+        this._save();
+        this._changed(sportKey);
+        return team;
+    }
+
+    /**
+     * Map a name to an existing team from now on
+     */
+    mapAlias(sportKey, name, teamId) {
+        const team = this.state.teams[teamId];
+        if (!team || team.sportKey !== sportKey) {
+            throw new Error(`Unknown team ${teamId} for ${sportKey}`);
+        }
+        const trimmed = String(name).trim();
+        if (!team.aliases.some(a => normalizeTeamName(a) === normalizeTeamName(trimmed))) {
+            team.aliases.push(trimmed);
+        }
+        this._indexName(sportKey, trimmed, teamId);
+        this._clearReview(sportKey, trimmed);
+        this._save();
+        this._changed(sportKey);
+        return team;
+    }
+
+    // ============ Review Queue ============
+
+    /**
+     * Unresolved names, most frequent first, with likely matches
+     */
+    getReviewQueue() {
+        return this.state.review
+            .map(item => ({ ...item, suggestions: this.suggest(item.sportKey, item.name) }))
+            .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+    }
+
+    /**
+     * Drop a name from the queue without mapping it (it will be queued again if seen again)
+     */
+    dismissReview(sportKey, name) {
+        this._clearReview(sportKey, name);
+        this._save();
+    }
+
+    /**
+     * Likely teams for an unresolved name (word overlap), best first
+     */
+    suggest(sportKey, name, limit = 3) {
+        const words = new Set(normalizeTeamName(name).split(' ').filter(Boolean));
+        if (words.size === 0) return [];
+
+        return this.getTeams(sportKey)
+            .map(team => {
+                let best = 0;
+                for (const candidate of [team.name, ...team.aliases]) {
+                    const other = new Set(normalizeTeamName(candidate).split(' ').filter(Boolean));
+                    const shared = [...words].filter(w => other.has(w)).length;
+                    best = Math.max(best, shared / new Set([...words, ...other]).size);
+                }
+                return { id: team.id, name: team.name, score: best };
+            })
+            .filter(s => s.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    toJSON() {
+        return this.state;
+    }
+
+    // ============ Helper Functions ============
+
+    _seed(aliases) {
+        for (const [sportKey, teams] of Object.entries(aliases)) {
+            for (const [name, list] of Object.entries(teams)) {
+                const id = `${sportKey}:${teamSlug(name)}`;
+                const team = this.state.teams[id] = this.state.teams[id] || { id, sportKey, name, aliases: [] };
+                for (const alias of list) {
+                    if (!team.aliases.includes(alias)) team.aliases.push(alias);
+                }
+            }
+        }
+    }
+
+    _reindex() {
+        this.index = {};
+        for (const team of Object.values(this.state.teams)) {
+            this._indexName(team.sportKey, team.name, team.id);
+            for (const alias of team.aliases) this._indexName(team.sportKey, alias, team.id);
+        }
+    }
+
+    _indexName(sportKey, name, teamId) {
+        const league = this.index[sportKey] = this.index[sportKey] || {};
+        const normalized = normalizeTeamName(name);
+        if (normalized && !league[normalized]) league[normalized] = teamId;
+    }
+
+    _queueForReview(sportKey, name, source) {
+        const normalized = normalizeTeamName(name);
+        const now = this.now();
+        const item = this.state.review.find(r => r.sportKey === sportKey && normalizeTeamName(r.name) === normalized);
+        if (item) {
+            item.count++;
+            item.lastSeen = now;
+            if (!item.sources.includes(source)) item.sources.push(source);
+        } else {
+            this.state.review.push({ sportKey, name, sources: [source], count: 1, firstSeen: now, lastSeen: now });
+        }
+        this._save();
+    }
+
+    _clearReview(sportKey, name) {
+        const normalized = normalizeTeamName(name);
+        this.state.review = this.state.review.filter(r =>
+            !(r.sportKey === sportKey && normalizeTeamName(r.name) === normalized));
+    }
+
+    _changed(sportKey) {
+        if (!this.onChange) return;
+        try {
+            this.onChange(sportKey);
+        } catch (error) {
+            console.warn('Team registry: change listener failed:', error);
+        }
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(this.storageKey) || 'null') : null;
+        } catch (error) {
+            console.warn('Team registry: could not read saved state:', error);
+        }
+        return {
+            teams: {},
+            review: [],
+            ...(saved || {})
+        };
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Team registry: could not save state:', error);
+        }
+    }
+}
+
+/**
+ * Fold case, accents, punctuation and club-type suffixes; keeps identity words
+ */
+function normalizeTeamName(name) {
+    if (!name) return '';
+    return String(name)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^\w\s]/g, ' ')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+        .filter((word, i, words) => !(['fc', 'afc', 'cf', 'sc'].includes(word) && (i === 0 || i === words.length - 1) && words.length > 1))
+        .join(' ');
+}
+
+function teamSlug(name) {
+    return normalizeTeamName(name).replace(/\s+/g, '-') || 'team';
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamRegistry, normalizeTeamName, DEFAULT_TEAM_ALIASES };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.TeamRegistry = TeamRegistry;
+    window.normalizeTeamName = normalizeTeamName;
+}
@@ -0,0 +1,275 @@
+/**
+ * Venues Module
+ * Home venue of every outdoor-sport team: coordinates and roof type
+ *
+ * Features:
+ * - NFL, NCAAF (major programs), MLB and the soccer leagues (EPL, La Liga, MLS, UCL clubs)
+ * - Keyed by Odds API sport key and the odds feed's team name
+ * - Roof: 'open' (weather applies), 'retractable' (usually closed in bad weather), 'dome'
+ * - Extra venues or corrections from APP_CONFIG.VENUES in the same shape
+ *
+ * Rows are [venue, latitude, longitude, roof]. Leagues played indoors (NBA, NHL, ...)
+ * have no entries: their games never get a weather lookup.
+ */
+
+const DEFAULT_VENUES = {
+    americanfootball_nfl: {
+        'Arizona Cardinals': ['State Farm Stadium', 33.528, -112.263, 'retractable'],
+        'Atlanta Falcons': ['Mercedes-Benz Stadium', 33.755, -84.401, 'retractable'],
+        'Baltimore Ravens': ['M&T Bank Stadium', 39.278, -76.623, 'open'],
+        'Buffalo Bills': ['Highmark Stadium', 42.774, -78.787, 'open'],
+        'Carolina Panthers': ['Bank of America Stadium', 35.226, -80.853, 'open'],
+        'Chicago Bears': ['Soldier Field', 41.862, -87.617, 'open'],
+        'Cincinnati Bengals': ['Paycor Stadium', 39.095, -84.516, 'open'],
+        'Cleveland Browns': ['Huntington Bank Field', 41.506, -81.700, 'open'],
+        'Dallas Cowboys': ['AT&T Stadium', 32.748, -97.093, 'retractable'],
+        'Denver Broncos': ['Empower Field at Mile High', 39.744, -105.020, 'open'],
+        'Detroit Lions': ['Ford Field', 42.340, -83.046, 'dome'],
+        'Green Bay Packers': ['Lambeau Field', 44.501, -88.062, 'open'],
+        'Houston Texans': ['NRG Stadium', 29.685, -95.411, 'retractable'],
+        'Indianapolis Colts': ['Lucas Oil Stadium', 39.760, -86.164, 'retractable'],
+        'Jacksonville Jaguars': ['EverBank Stadium', 30.324, -81.637, 'open'],
+        'Kansas City Chiefs': ['Arrowhead Stadium', 39.049, -94.484, 'open'],
+        'Las Vegas Raiders': ['Allegiant Stadium', 36.091, -115.184, 'dome'],
+        'Los Angeles Chargers': ['SoFi Stadium', 33.953, -118.339, 'dome'],
+        'Los Angeles Rams': ['SoFi Stadium', 33.953, -118.339, 'dome'],
+        'Miami Dolphins': ['Hard Rock Stadium', 25.958, -80.239, 'open'],
+        'Minnesota Vikings': ['U.S. Bank Stadium', 44.974, -93.258, 'dome'],
+        'New England Patriots': ['Gillette Stadium', 42.091, -71.264, 'open'],
+        'New Orleans Saints': ['Caesars Superdome', 29.951, -90.081, 'dome'],
+        'New York Giants': ['MetLife Stadium', 40.813, -74.074, 'open'],
+        'New York Jets': ['MetLife Stadium', 40.813, -74.074, 'open'],
+        'Philadelphia Eagles': ['Lincoln Financial Field', 39.901, -75.168, 'open'],
+        'Pittsburgh Steelers': ['Acrisure Stadium', 40.447, -80.016, 'open'],
+        'San Francisco 49ers': ["Levi's Stadium", 37.403, -121.970, 'open'],
+        'Seattle Seahawks': ['Lumen Field', 47.595, -122.332, 'open'],
+        'Tampa Bay Buccaneers': ['Raymond James Stadium', 27.976, -82.503, 'open'],
+        'Tennessee Titans': ['Nissan Stadium', 36.166, -86.771, 'open'],
+        'Washington Commanders': ['Northwest Stadium', 38.908, -76.864, 'open']
+    },
+    americanfootball_ncaaf: {
+        'Alabama Crimson Tide': ['Bryant-Denny Stadium', 33.208, -87.550, 'open'],
+        'Auburn Tigers': ['Jordan-Hare Stadium', 32.602, -85.489, 'open'],
+        'Clemson Tigers': ['Memorial Stadium', 34.679, -82.843, 'open'],
+        'Florida Gators': ['Ben Hill Griffin Stadium', 29.650, -82.349, 'open'],
+        'Florida State Seminoles': ['Doak Campbell Stadium', 30.438, -84.304, 'open'],
+        'Georgia Bulldogs': ['Sanford Stadium', 33.950, -83.373, 'open'],
+        'Iowa Hawkeyes': ['Kinnick Stadium', 41.659, -91.551, 'open'],
+        'LSU Tigers': ['Tiger Stadium', 30.412, -91.184, 'open'],
+        'Miami Hurricanes': ['Hard Rock Stadium', 25.958, -80.239, 'open'],
+        'Michigan Wolverines': ['Michigan Stadium', 42.266, -83.749, 'open'],
+        'Notre Dame Fighting Irish': ['Notre Dame Stadium', 41.698, -86.234, 'open'],
+        'Ohio State Buckeyes': ['Ohio Stadium', 40.002, -83.020, 'open'],
+        'Oklahoma Sooners': ['Gaylord Family Oklahoma Memorial Stadium', 35.206, -97.442, 'open'],
+        'Oregon Ducks': ['Autzen Stadium', 44.058, -123.068, 'open'],
+        'Penn State Nittany Lions': ['Beaver Stadium', 40.812, -77.856, 'open'],
+        'Syracuse Orange': ['JMA Wireless Dome', 43.036, -76.136, 'dome'],
+        'Tennessee Volunteers': ['Neyland Stadium', 35.955, -83.925, 'open'],
+        'Texas A&M Aggies': ['Kyle Field', 30.610, -96.340, 'open'],
+        'Texas Longhorns': ['Darrell K Royal Stadium', 30.284, -97.733, 'open'],
+        'USC Trojans': ['Los Angeles Memorial Coliseum', 34.014, -118.288, 'open'],
+        'Wisconsin Badgers': ['Camp Randall Stadium', 43.070, -89.413, 'open']
+    },
+    baseball_mlb: {
+        'Arizona Diamondbacks': ['Chase Field', 33.445, -112.067, 'retractable'],
+        'Atlanta Braves': ['Truist Park', 33.891, -84.468, 'open'],
+        'Baltimore Orioles': ['Oriole Park at Camden Yards', 39.284, -76.622, 'open'],
+        'Boston Red Sox': ['Fenway Park', 42.346, -71.097, 'open'],
+        'Chicago Cubs': ['Wrigley Field', 41.948, -87.656, 'open'],
+        'Chicago White Sox': ['Rate Field', 41.830, -87.634, 'open'],
+        'Cincinnati Reds': ['Great American Ball Park', 39.097, -84.507, 'open'],
+        'Cleveland Guardians': ['Progressive Field', 41.496, -81.685, 'open'],
+        'Colorado Rockies': ['Coors Field', 39.756, -104.994, 'open'],
+        'Detroit Tigers': ['Comerica Park', 42.339, -83.049, 'open'],
+        'Houston Astros': ['Daikin Park', 29.757, -95.356, 'retractable'],
+        'Kansas City Royals': ['Kauffman Stadium', 39.051, -94.480, 'open'],
+        'Los Angeles Angels': ['Angel Stadium', 33.800, -117.883, 'open'],
+        'Los Angeles Dodgers': ['Dodger Stadium', 34.074, -118.240, 'open'],
+        'Miami Marlins': ['loanDepot park', 25.778, -80.220, 'retractable'],
+        'Milwaukee Brewers': ['American Family Field', 43.028, -87.971, 'retractable'],
+        'Minnesota Twins': ['Target Field', 44.982, -93.278, 'open'],
+        'New York Mets': ['Citi Field', 40.757, -73.846, 'open'],
+        'New York Yankees': ['Yankee Stadium', 40.829, -73.926, 'open'],
+        'Oakland Athletics': ['Sutter Health Park', 38.580, -121.514, 'open'],
+        'Philadelphia Phillies': ['Citizens Bank Park', 39.906, -75.166, 'open'],
+        'Pittsburgh Pirates': ['PNC Park', 40.447, -80.006, 'open'],
+        'San Diego Padres': ['Petco Park', 32.707, -117.157, 'open'],
+        'San Francisco Giants': ['Oracle Park', 37.778, -122.389, 'open'],
+        'Seattle Mariners': ['T-Mobile Park', 47.591, -122.332, 'retractable'],
+        'St. Louis Cardinals': ['Busch Stadium', 38.623, -90.193, 'open'],
+        'Tampa Bay Rays': ['George M. Steinbrenner Field', 27.980, -82.507, 'open'],
+        'Texas Rangers': ['Globe Life Field', 32.747, -97.084, 'retractable'],
+        'Toronto Blue Jays': ['Rogers Centre', 43.641, -79.389, 'retractable'],
+        'Washington Nationals': ['Nationals Park', 38.873, -77.007, 'open']
+    },
+    soccer_epl: {
+        'Arsenal': ['Emirates Stadium', 51.555, -0.108, 'open'],
+        'Aston Villa': ['Villa Park', 52.509, -1.885, 'open'],
+        'AFC Bournemouth': ['Vitality Stadium', 50.735, -1.838, 'open'],
+        'Brentford': ['Gtech Community Stadium', 51.491, -0.289, 'open'],
+        'Brighton and Hove Albion': ['American Express Stadium', 50.862, -0.083, 'open'],
+        'Burnley': ['Turf Moor', 53.789, -2.230, 'open'],
+        'Chelsea': ['Stamford Bridge', 51.482, -0.191, 'open'],
+        'Crystal Palace': ['Selhurst Park', 51.398, -0.086, 'open'],
+        'Everton': ['Hill Dickinson Stadium', 53.424, -3.002, 'open'],
+        'Fulham': ['Craven Cottage', 51.475, -0.222, 'open'],
+        'Ipswich Town': ['Portman Road', 52.055, 1.145, 'open'],
+        'Leeds United': ['Elland Road', 53.778, -1.572, 'open'],
+        'Leicester City': ['King Power Stadium', 52.620, -1.142, 'open'],
+        'Liverpool': ['Anfield', 53.431, -2.961, 'open'],
+        'Manchester City': ['Etihad Stadium', 53.483, -2.200, 'open'],
+        'Manchester United': ['Old Trafford', 53.463, -2.291, 'open'],
+        'Newcastle United': ["St James' Park", 54.976, -1.622, 'open'],
+        'Nottingham Forest': ['City Ground', 52.940, -1.133, 'open'],
+        'Southampton': ["St Mary's Stadium", 50.906, -1.391, 'open'],
+        'Sunderland': ['Stadium of Light', 54.915, -1.388, 'open'],
+        'Tottenham Hotspur': ['Tottenham Hotspur Stadium', 51.604, -0.066, 'open'],
+        'West Ham United': ['London Stadium', 51.539, -0.017, 'open'],
+        'Wolverhampton Wanderers': ['Molineux Stadium', 52.590, -2.130, 'open']
+    },
+    soccer_spain_la_liga: {
+        'Alavés': ['Mendizorroza', 42.837, -2.688, 'open'],
+        'Athletic Bilbao': ['San Mamés', 43.264, -2.949, 'open'],
+        'Atlético Madrid': ['Metropolitano', 40.436, -3.600, 'open'],
+        'Barcelona': ['Spotify Camp Nou', 41.381, 2.123, 'open'],
+        'Celta Vigo': ['Balaídos', 42.212, -8.740, 'open'],
+        'Elche CF': ['Martínez Valero', 38.267, -0.663, 'open'],
+        'Espanyol': ['RCDE Stadium', 41.348, 2.076, 'open'],
+        'Getafe': ['Coliseum', 40.326, -3.715, 'open'],
+        'Girona': ['Montilivi', 41.961, 2.829, 'open'],
+        'Levante': ['Ciutat de València', 39.495, -0.364, 'open'],
+        'Mallorca': ['Son Moix', 39.590, 2.630, 'open'],
+        'Osasuna': ['El Sadar', 42.797, -1.637, 'open'],
+        'Rayo Vallecano': ['Estadio de Vallecas', 40.392, -3.659, 'open'],
+        'Real Betis': ['Benito Villamarín', 37.356, -5.982, 'open'],
+        'Real Madrid': ['Santiago Bernabéu', 40.453, -3.688, 'retractable'],
+        'Real Oviedo': ['Carlos Tartiere', 43.360, -5.870, 'open'],
+        'Real Sociedad': ['Anoeta', 43.301, -1.974, 'open'],
+        'Sevilla': ['Ramón Sánchez-Pizjuán', 37.384, -5.971, 'open'],
+        'Valencia': ['Mestalla', 39.475, -0.358, 'open'],
+        'Villarreal': ['Estadio de la Cerámica', 39.944, -0.104, 'open']
+    },
+    soccer_usa_mls: {
+        'Atlanta United FC': ['Mercedes-Benz Stadium', 33.755, -84.401, 'retractable'],
+        'Austin FC': ['Q2 Stadium', 30.388, -97.720, 'open'],
+        'CF Montréal': ['Stade Saputo', 45.563, -73.553, 'open'],
+        'Charlotte FC': ['Bank of America Stadium', 35.226, -80.853, 'open'],
+        'Chicago Fire': ['Soldier Field', 41.862, -87.617, 'open'],
+        'Colorado Rapids': ["Dick's Sporting Goods Park", 39.806, -104.892, 'open'],
+        'Columbus Crew SC': ['Lower.com Field', 39.968, -83.017, 'open'],
+        'D.C. United': ['Audi Field', 38.868, -77.013, 'open'],
+        'FC Cincinnati': ['TQL Stadium', 39.111, -84.522, 'open'],
+        'FC Dallas': ['Toyota Stadium', 33.154, -96.835, 'open'],
+        'Houston Dynamo': ['Shell Energy Stadium', 29.752, -95.352, 'open'],
+        'Inter Miami CF': ['Chase Stadium', 26.193, -80.161, 'open'],
+        'LA Galaxy': ['Dignity Health Sports Park', 33.864, -118.261, 'open'],
+        'Los Angeles FC': ['BMO Stadium', 34.013, -118.285, 'open'],
+        'Minnesota United FC': ['Allianz Field', 44.953, -93.165, 'open'],
+        'Nashville SC': ['GEODIS Park', 36.130, -86.766, 'open'],
+        'New England Revolution': ['Gillette Stadium', 42.091, -71.264, 'open'],
+        'New York City FC': ['Yankee Stadium', 40.829, -73.926, 'open'],
+        'New York Red Bulls': ['Sports Illustrated Stadium', 40.737, -74.150, 'open'],
+        'Orlando City SC': ['Inter&Co Stadium', 28.541, -81.389, 'open'],
+        'Philadelphia Union': ['Subaru Park', 39.832, -75.379, 'open'],
+        'Portland Timbers': ['Providence Park', 45.521, -122.692, 'open'],
+        'Real Salt Lake': ['America First Field', 40.583, -111.893, 'open'],
+        'San Diego FC': ['Snapdragon Stadium', 32.784, -117.122, 'open'],
+        'San Jose Earthquakes': ['PayPal Park', 37.351, -121.925, 'open'],
+        'Seattle Sounders FC': ['Lumen Field', 47.595, -122.332, 'open'],
+        'Sporting Kansas City': ["Children's Mercy Park", 39.122, -94.824, 'open'],
+        'St. Louis City SC': ['Energizer Park', 38.631, -90.211, 'open'],
+        'Toronto FC': ['BMO Field', 43.633, -79.419, 'open'],
+        'Vancouver Whitecaps FC': ['BC Place', 49.277, -123.112, 'retractable']
+    },
+    // Clubs from outside the leagues above; EPL and La Liga clubs are found in their own tables
+    soccer_uefa_champs_league: {
+        'AC Milan': ['San Siro', 45.478, 9.124, 'open'],
+        'Ajax': ['Johan Cruijff ArenA', 52.314, 4.942, 'retractable'],
+        'Atalanta BC': ['Gewiss Stadium', 45.709, 9.681, 'open'],
+        'Bayer Leverkusen': ['BayArena', 51.038, 7.002, 'open'],
+        'Bayern Munich': ['Allianz Arena', 48.219, 11.625, 'open'],
+        'Benfica': ['Estádio da Luz', 38.753, -9.185, 'open'],
+        'Borussia Dortmund': ['Signal Iduna Park', 51.493, 7.452, 'open'],
+        'Celtic': ['Celtic Park', 55.850, -4.206, 'open'],
+        'Club Brugge': ['Jan Breydel Stadium', 51.193, 3.180, 'open'],
+        'FC Porto': ['Estádio do Dragão', 41.162, -8.584, 'open'],
+        'Galatasaray': ['RAMS Park', 41.103, 28.991, 'open'],
+        'Inter Milan': ['San Siro', 45.478, 9.124, 'open'],
+        'Juventus': ['Allianz Stadium', 45.110, 7.641, 'open'],
+        'Marseille': ['Stade Vélodrome', 43.270, 5.396, 'open'],
+        'AS Monaco': ['Stade Louis II', 43.728, 7.416, 'open'],
+        'Napoli': ['Stadio Diego Armando Maradona', 40.828, 14.193, 'open'],
+        'Paris Saint Germain': ['Parc des Princes', 48.841, 2.253, 'open'],
+        'PSV Eindhoven': ['Philips Stadion', 51.442, 5.468, 'open'],
+        'Sporting Lisbon': ['Estádio José Alvalade', 38.761, -9.161, 'open']
+    }
+};
+
+class VenueRegistry {
+    constructor(options = {}) {
+        this.venues = {};
+        this.add(DEFAULT_VENUES);
+        if (options.venues) this.add(options.venues);
+        this.resolveName = options.resolveName || null; // (sportKey, name) => canonical team name
+    }
+
+    /**
+     * Add or override venues ({ sportKey: { team: [venue, lat, lon, roof] | { venue, lat, lon, roof } } })
+     */
+    add(table) {
+        for (const [sportKey, teams] of Object.entries(table || {})) {
+            const league = this.venues[sportKey] = this.venues[sportKey] || {};
+            for (const [team, row] of Object.entries(teams)) {
+                const venue = Array.isArray(row)
+                    ? { venue: row[0], lat: row[1], lon: row[2], roof: row[3] || 'open' }
+                    : { roof: 'open', ...row };
+                league[normalizeVenueKey(team)] = { team, ...venue };
+            }
+        }
+    }
+
+    /**
+     * Home venue of a team, or null when unknown
+     * Soccer clubs are also looked up in the other soccer tables (cup competitions).
+     */
+    forTeam(sportKey, teamName) {
+        const names = [teamName];
+        if (this.resolveName) {
+            const canonical = this.resolveName(sportKey, teamName);
+            if (canonical && canonical !== teamName) names.unshift(canonical);
+        }
+        const leagues = [sportKey];
+        if (String(sportKey).startsWith('soccer_')) {
+            leagues.push(...Object.keys(this.venues).filter(k => k.startsWith('soccer_') && k !== sportKey));
+        }
+
+        for (const league of leagues) {
+            for (const name of names) {
+                const venue = this.venues[league] && this.venues[league][normalizeVenueKey(name)];
+                if (venue) return venue;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Venue of a game (the home team's ground)
+     */
+    forGame(game) {
+        return this.forTeam(game.sport_key, game.home_team);
+    }
+}
+
+function normalizeVenueKey(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VenueRegistry, DEFAULT_VENUES };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.VenueRegistry = VenueRegistry;
+}
@@ -0,0 +1,333 @@
+/**
+ * Weather Module
+ * Kickoff-time forecasts for outdoor venues, turned into a per-sport weather impact
+ *
+ * Providers:
+ * - OpenMeteoWeatherProvider: live hourly forecasts from open-meteo.com (free, no key, ~16 days ahead)
+ * - FileWeatherProvider: forecasts from a JSON file, for offline use and replays
+ *
+ * Every provider resolves to { temperatureC, windKph, gustKph, precipitationMm,
+ * precipitationProbability, time, source } or null when it has no forecast.
+ *
+ * Impact is -1..1 (the situational weather_impact feature):
+ * - negative: conditions that hold scoring down and add variance (wind, rain, snow, cold)
+ * - positive: conditions that help scoring (warm air in baseball)
+ * - 0: indoors, closed roof, calm conditions, or no forecast
+ */
+
+class WeatherProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * Forecast at a venue for a time
+     * @param {Object} venue - { venue, lat, lon, roof }
+     * @param {string|number|Date} time - Kickoff time
+     * @returns {Promise<Object|null>} - Forecast, or null if unavailable
+     */
+    async getForecast(venue, time) {
+        throw new Error(`${this.name}: getForecast() not implemented`);
+    }
+}
+
+class OpenMeteoWeatherProvider extends WeatherProvider {
+    constructor(options = {}) {
+        super({ name: 'open-meteo' });
+        this.baseUrl = options.baseUrl || 'https://api.open-meteo.com/v1/forecast';
+        this.fetchImpl = options.fetch || null;
+        this.gameHours = options.gameHours || 3; // precipitation is summed over the game
+    }
+
+    async getForecast(venue, time) {
+        const kickoff = new Date(time);
+        if (!venue || !Number.isFinite(kickoff.getTime())) return null;
+
+        const day = kickoff.toISOString().slice(0, 10);
+        const params = new URLSearchParams({
+            latitude: venue.lat,
+            longitude: venue.lon,
+            hourly: 'temperature_2m,precipitation,precipitation_probability,wind_speed_10m,wind_gusts_10m',
+            wind_speed_unit: 'kmh',
+            timezone: 'UTC',
+            start_date: day,
+            end_date: new Date(kickoff.getTime() + 86400000).toISOString().slice(0, 10)
+        });
+
+        let data;
+        try {
+            const response = await (this.fetchImpl || fetch)(`${this.baseUrl}?${params}`);
+            if (!response.ok) {
+                // 400 for dates outside the forecast window
+                console.warn(`Open-Meteo: ${venue.venue} ${day} failed`, response.status);
+                return null;
+            }
+            data = await response.json();
+        } catch (error) {
+            console.warn(`Open-Meteo: request for ${venue.venue} failed`, error);
+            return null;
+        }
+
+        const hourly = data && data.hourly;
+        if (!hourly || !Array.isArray(hourly.time)) return null;
+
+        // Hourly times are UTC without a zone ('2025-10-19T17:00')
+        const times = hourly.time.map(t => Date.parse(`${t}:00Z`));
+        let index = -1;
+        let bestGap = Infinity;
+        times.forEach((t, i) => {
+            const gap = Math.abs(t - kickoff.getTime());
+            if (gap < bestGap) { bestGap = gap; index = i; }
+        });
+        if (index < 0 || bestGap > 3600000) return null;
+
+        const at = (series, i = index) => {
+            const value = hourly[series] && hourly[series][i];
+            return value === null || value === undefined ? null : Number(value);
+        };
+        let precipitation = 0;
+        for (let i = index; i < Math.min(times.length, index + this.gameHours); i++) {
+            precipitation += at('precipitation', i) || 0;
+        }
+
+        return {
+            temperatureC: at('temperature_2m'),
+            windKph: at('wind_speed_10m'),
+            gustKph: at('wind_gusts_10m'),
+            precipitationMm: Math.round(precipitation * 10) / 10,
+            precipitationProbability: at('precipitation_probability'),
+            time: kickoff.toISOString(),
+            source: this.name
+        };
+    }
+}
+
+class FileWeatherProvider extends WeatherProvider {
+    /**
+     * The file holds { default: forecast, venues: { 'Lambeau Field': forecast, ... } };
+     * a venue entry may also be a list of forecasts with a time each (the closest one wins)
+     */
+    constructor(options = {}) {
+        super({ name: 'file' });
+        this.path = options.path || './fixtures/weather/forecasts.json';
+        this.loader = options.loader || FileWeatherProvider.defaultLoader;
+        this._data = null;
+    }
+
+    async getForecast(venue, time) {
+        const data = await this._load();
+        if (!data || !venue) return null;
+
+        let entry = (data.venues && data.venues[venue.venue]) || data.default || null;
+        if (Array.isArray(entry)) {
+            const target = new Date(time).getTime();
+            entry = entry.slice().sort((a, b) =>
+                Math.abs(Date.parse(a.time) - target) - Math.abs(Date.parse(b.time) - target))[0] || null;
+        }
+        if (!entry) return null;
+
+        return {
+            temperatureC: entry.temperatureC ?? null,
+            windKph: entry.windKph ?? null,
+            gustKph: entry.gustKph ?? null,
+            precipitationMm: entry.precipitationMm ?? 0,
+            precipitationProbability: entry.precipitationProbability ?? null,
+            time: new Date(time).toISOString(),
+            source: this.name
+        };
+    }
+
+    async _load() {
+        if (this._data) return this._data;
+        try {
+            this._data = await this.loader(this.path);
+        } catch (error) {
+            console.log(`${this.name}: no weather file at ${this.path}`);
+            this._data = null;
+        }
+        return this._data;
+    }
+
+    static async defaultLoader(path) {
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            const fs = require('fs');
+            return JSON.parse(fs.readFileSync(path, 'utf8'));
+        }
+        const response = await fetch(path, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }
+}
+
+/**
+ * Weather impact for a game: venue lookup, forecast, per-sport scoring
+ */
+class WeatherService {
+    constructor(options = {}) {
+        this.provider = options.provider || null;   // WeatherProvider; null disables weather
+        this.venues = options.venues;               // VenueRegistry
+        this.ttlMs = (options.ttlMinutes || 60) * 60000;
+        this.memo = new Map();                      // venue|hour -> { at, promise }
+    }
+
+    /**
+     * Weather for a game at kickoff
+     * @param {Object} game - Odds API event ({ sport_key, home_team, commence_time })
+     * @returns {Promise<Object|null>} - { impact, venue, roof, forecast, reasons, summary },
+     *   or null for indoor sports and unknown venues
+     */
+    async impactFor(game) {
+        if (!this.provider || !game || !weatherSportFamily(game.sport_key)) return null;
+        const venue = this.venues && this.venues.forGame(game);
+        if (!venue) return null;
+
+        if (venue.roof === 'dome') {
+            return this._result(venue, null, 0, [], `Indoors at ${venue.venue} (dome): no weather impact`);
+        }
+
+        const forecast = await this._forecast(venue, game.commence_time);
+        if (!forecast) return null;
+
+        // Retractable roofs close for rain, wind and cold; only mild open-air weather reaches the field
+        const scored = scoreWeather(game.sport_key, forecast);
+        if (venue.roof === 'retractable' && scored.impact < 0) {
+            return this._result(venue, forecast, 0, [], `${venue.venue}: roof expected closed (${describeForecast(forecast)})`);
+        }
+
+        let effect = scored.impact < -0.05 ? 'holds scoring down' : (scored.impact > 0.05 ? 'helps scoring' : 'little effect');
+        if (scored.reasons.length > 0) effect += `: ${scored.reasons.join(', ')}`;
+        const summary = `Weather at ${venue.venue}: ${describeForecast(forecast)} → impact ${scored.impact > 0 ? '+' : ''}${scored.impact.toFixed(2)} (${effect})`;
+        return this._result(venue, forecast, scored.impact, scored.reasons, summary);
+    }
+
+    // ============ Helper Functions ============
+
+    async _forecast(venue, time) {
+        const hour = Math.floor(new Date(time).getTime() / 3600000);
+        const key = `${venue.lat},${venue.lon}|${hour}`;
+        const cached = this.memo.get(key);
+        if (cached && Date.now() - cached.at < this.ttlMs) return cached.promise;
+
+        const promise = this.provider.getForecast(venue, time).catch(error => {
+            console.warn(`Weather: forecast for ${venue.venue} failed`, error);
+            return null;
+        });
+        this.memo.set(key, { at: Date.now(), promise });
+        return promise;
+    }
+
+    _result(venue, forecast, impact, reasons, summary) {
+        return { impact, venue: venue.venue, roof: venue.roof, forecast, reasons, summary };
+    }
+}
+
+/**
+ * Which weather rules a league uses ('football', 'baseball', 'soccer'), or null when it plays indoors
+ */
+function weatherSportFamily(sportKey) {
+    const key = String(sportKey || '');
+    if (key.startsWith('americanfootball_')) return 'football';
+    if (key.startsWith('baseball_')) return 'baseball';
+    if (key.startsWith('soccer_')) return 'soccer';
+    return null;
+}
+
+/**
+ * Impact of a forecast on one sport
+ * @returns {Object} - { impact (-1..1), reasons: [string] }
+ */
+function scoreWeather(sportKey, forecast) {
+    const family = weatherSportFamily(sportKey);
+    const temp = forecast.temperatureC;
+    const wind = Math.max(forecast.windKph || 0, (forecast.gustKph || 0) * 0.7);
+    const rain = forecast.precipitationMm || 0;
+    const frozen = temp !== null && temp <= 0;
+    const reasons = [];
+    let impact = 0;
+
+    if (family === 'football') {
+        // Passing and kicking suffer first: ~15 mph sustained is where totals start to drop
+        if (wind > 24) {
+            impact -= Math.min(0.5, (wind - 24) / 50);
+            reasons.push(`wind ${Math.round(wind / 1.609)} mph`);
+        }
+        if (rain >= 0.5) {
+            impact -= Math.min(0.3, rain * 0.05);
+            reasons.push(`${frozen ? 'snow' : 'rain'} ${rain} mm`);
+        }
+        if (temp !== null && temp < -7) {
+            impact -= 0.15;
+            reasons.push(`${Math.round(temp)}°C`);
+        }
+    } else if (family === 'baseball') {
+        // Warm air carries the ball; cold suppresses runs. Wind direction is unknown, so only its variance counts
+        if (temp !== null && Math.abs(temp - 21) > 5) {
+            impact += Math.max(-0.25, Math.min(0.25, (temp - 21) / 60));
+            reasons.push(`${Math.round(temp)}°C`);
+        }
+        if (wind > 30) {
+            impact -= Math.min(0.15, (wind - 30) / 100);
+            reasons.push(`wind ${Math.round(wind / 1.609)} mph`);
+        }
+        if (rain >= 1) {
+            impact -= Math.min(0.3, rain * 0.05);
+            reasons.push(`rain ${rain} mm (delay risk)`);
+        }
+    } else if (family === 'soccer') {
+        if (wind > 35) {
+            impact -= Math.min(0.3, (wind - 35) / 60);
+            reasons.push(`wind ${Math.round(wind)} km/h`);
+        }
+        if (rain >= 1) {
+            impact -= Math.min(0.25, rain * 0.04);
+            reasons.push(`${frozen ? 'snow' : 'rain'} ${rain} mm`);
+        }
+        if (temp !== null && temp > 28) {
+            impact -= Math.min(0.2, (temp - 28) / 40);
+            reasons.push(`heat ${Math.round(temp)}°C`);
+        }
+    }
+
+    return { impact: Math.round(Math.max(-1, Math.min(1, impact)) * 100) / 100, reasons };
+}
+
+function describeForecast(forecast) {
+    const parts = [];
+    if (forecast.temperatureC !== null && forecast.temperatureC !== undefined) parts.push(`${Math.round(forecast.temperatureC)}°C`);
+    if (forecast.windKph !== null && forecast.windKph !== undefined) parts.push(`wind ${Math.round(forecast.windKph)} km/h`);
+    parts.push(forecast.precipitationMm > 0 ? `${forecast.precipitationMm} mm precipitation` : 'dry');
+    return parts.join(', ');
+}
+
+/**
+ * Provider for the configured source ('open-meteo', 'file' or 'none')
+ */
+function createWeatherProvider(config = {}, options = {}) {
+    const source = (config.WEATHER_PROVIDER || 'open-meteo').toLowerCase();
+    if (source === 'none') return null;
+    if (source === 'file') {
+        return new FileWeatherProvider({ path: config.WEATHER_PATH, ...options });
+    }
+    return new OpenMeteoWeatherProvider(options);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WeatherProvider,
+        OpenMeteoWeatherProvider,
+        FileWeatherProvider,
+        WeatherService,
+        scoreWeather,
+        createWeatherProvider
+    };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.WeatherProvider = WeatherProvider;
+    window.OpenMeteoWeatherProvider = OpenMeteoWeatherProvider;
+    window.FileWeatherProvider = FileWeatherProvider;
+    window.WeatherService = WeatherService;
+    window.createWeatherProvider = createWeatherProvider;
+}
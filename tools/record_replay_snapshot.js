@@ -0,0 +1,53 @@
+// Record a replay snapshot from the live Odds API
+//
+// Usage:
+//   ODDS_API_KEY=xxxx node tools/record_replay_snapshot.js <snapshot> [sportKey ...]
+//
+// Writes fixtures/replay/<snapshot>/<sportKey>/{odds,scores}.json plus a
+// manifest.json, which ReplayOddsProvider can serve with ODDS_PROVIDER: 'replay'.
+// Each sport costs two API requests (odds + scores).
+const fs = require('fs');
+const path = require('path');
+const { TheOddsApiProvider } = require('../src/data/odds-provider');
+const { SportsRegistry } = require('../src/data/sports');
+
+// Leagues enabled by default in the app
+const DEFAULT_SPORTS = new SportsRegistry().all().map(sport => sport.key);
+
+(async () => {
+  const apiKey = process.env.ODDS_API_KEY;
+  const [snapshot, ...sportArgs] = process.argv.slice(2);
+  if (!apiKey || !snapshot) {
+    console.error('Usage: ODDS_API_KEY=xxxx node tools/record_replay_snapshot.js <snapshot> [sportKey ...]');
+    process.exit(1);
+  }
+
+  const sports = sportArgs.length ? sportArgs : DEFAULT_SPORTS;
+  const outDir = path.join(__dirname, '..', 'fixtures', 'replay', snapshot);
+  const provider = new TheOddsApiProvider({
+    getApiKey: () => apiKey,
+    onRequest: (response, { path: endpoint }) => {
+      const remaining = response.headers.get('x-requests-remaining');
+      console.log(`  ${endpoint} -> ${response.status} (remaining: ${remaining ?? 'n/a'})`);
+    }
+  });
+
+  const recorded = [];
+  for (const sportKey of sports) {
+    console.log(`Recording ${sportKey}...`);
+    const odds = await provider.getOdds(sportKey);
+    const scores = await provider.getScores(sportKey, 3);
+    if (!odds && !scores) continue;
+
+    const sportDir = path.join(outDir, sportKey);
+    fs.mkdirSync(sportDir, { recursive: true });
+    if (odds) fs.writeFileSync(path.join(sportDir, 'odds.json'), JSON.stringify(odds, null, 2) + '\n');
+    if (scores) fs.writeFileSync(path.join(sportDir, 'scores.json'), JSON.stringify(scores, null, 2) + '\n');
+    recorded.push(sportKey);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const manifest = { recordedAt: new Date().toISOString(), source: 'the-odds-api', sports: recorded };
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Saved ${recorded.length} sport(s) to ${outDir}`);
+})();
@@ -1,7 +1,14 @@
 const puppeteer = require('puppeteer');
 
 (async () => {
-  const url = 'http://127.0.0.1:8000/ai-betting-system.html';
+  // SMOKE_PROVIDER=replay runs the cycle against recorded snapshots (no API calls)
+  const provider = process.env.SMOKE_PROVIDER;
+  const snapshot = process.env.SMOKE_SNAPSHOT;
+  const query = new URLSearchParams({
+    ...(provider ? { provider } : {}),
+    ...(snapshot ? { snapshot } : {})
+  }).toString();
+  const url = 'http://127.0.0.1:8000/ai-betting-system.html' + (query ? `?${query}` : '');
   const browser = await puppeteer.launch({ args: ['--no-sandbox','--disable-setuid-sandbox'] });
   const page = await browser.newPage();
   page.on('console', msg => console.log('PAGE:', msg.text()));